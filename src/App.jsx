@@ -8,6 +8,8 @@ import React, { useEffect } from 'react';
 import { useApp } from './context/AppContext';
 import Configuration from './components/Configuration';
 import ChatInterface from './components/ChatInterface';
+import SessionSidebar from './components/SessionSidebar';
+import NotificationToasts from './components/NotificationToasts';
 import { getCacheStats } from './api/endpoints';
 import backgroundImage from './Background_Image/background.jpg';
 
@@ -42,9 +44,11 @@ function App() {
             }}
         >
             <Configuration />
+            <SessionSidebar />
             <div className="flex-1 flex flex-col h-full relative min-w-0">
                 <ChatInterface />
             </div>
+            <NotificationToasts />
         </div>
     );
 }
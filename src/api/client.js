@@ -4,12 +4,19 @@
  */
 
 import axios from 'axios';
+import { classifyError } from './errors';
 
 // Vite uses import.meta.env.VITE_ for environment variables
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://192.168.1.55:8000/api';
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://192.168.1.55:8000/api';
+
+// Demo mode answers every request from local fixtures instead of the backend
+export const DEMO_MODE = import.meta.env.VITE_DEMO_MODE === 'true';
+
+// Loaded on first request so the fixtures stay out of the normal bundle
+const loadMockBackend = () => import('./mock/mockAdapter');
 
 // Helper function to get CSRF token from cookies
-function getCookie(name) {
+export function getCookie(name) {
     let cookieValue = null;
     if (document.cookie && document.cookie !== '') {
         const cookies = document.cookie.split(';');
@@ -24,12 +31,33 @@ function getCookie(name) {
     return cookieValue;
 }
 
+// True for requests aborted through an AbortController, from axios or from fetch
+export const isCancelledRequest = (error) => axios.isCancel(error) || error?.name === 'AbortError';
+
+// Per-endpoint timeouts (ms), passed as `timeout` by the wrappers in endpoints.js.
+// Full analyses and reports run several LLM calls, lookups should come back quickly.
+export const TIMEOUTS = {
+    lookup: 15000,
+    agent: 60000,
+    query: 180000,
+    report: 180000,
+};
+
+// Automatic retries for requests marked `retry: true` (and every GET)
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_STATUSES = [502, 503, 504];
+
 const apiClient = axios.create({
     baseURL: API_BASE_URL,
+    timeout: TIMEOUTS.lookup,
     headers: {
         'Content-Type': 'application/json',
     },
     withCredentials: true,  // For session cookies and CSRF
+    ...(DEMO_MODE && {
+        adapter: async (config) => (await loadMockBackend()).mockAdapter(config),
+    }),
 });
 
 // Request interceptor
@@ -58,12 +86,61 @@ apiClient.interceptors.request.use(
     }
 );
 
+// Only idempotent requests are retried, and only for failures that may be transient:
+// no response at all, a timeout, or a gateway error
+const shouldRetry = (error) => {
+    const { config } = error;
+    if (!config || (config.retryCount || 0) >= MAX_RETRIES) return false;
+    if (config.method !== 'get' && !config.retry) return false;
+    if (!error.response) return true;
+    return RETRY_STATUSES.includes(error.response.status);
+};
+
+// Exponential backoff with jitter; rejects early if the request is aborted meanwhile
+const waitBeforeRetry = (attempt, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new axios.CanceledError());
+        return;
+    }
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
 // Response interceptor
 apiClient.interceptors.response.use(
     (response) => {
         return response;
     },
-    (error) => {
+    async (error) => {
+        if (isCancelledRequest(error)) {
+            // Aborted on purpose by the user - not worth logging
+            return Promise.reject(error);
+        }
+        // Blob requests (reports) get their JSON error body as a Blob too
+        const data = error.response?.data;
+        if (data instanceof Blob && data.type.includes('json')) {
+            error.response.data = await data.text().then(JSON.parse).catch(() => data);
+        }
+        if (shouldRetry(error)) {
+            const { config } = error;
+            // Cancelled while the failed attempt was settling - never retry
+            if (config.signal?.aborted) return Promise.reject(new axios.CanceledError());
+            config.retryCount = (config.retryCount || 0) + 1;
+            try {
+                await waitBeforeRetry(config.retryCount, config.signal);
+            } catch (cancelled) {
+                return Promise.reject(cancelled);
+            }
+            return apiClient(config);
+        }
         if (error.response) {
             // Server responded with error status
             console.error('API Error:', error.response.status, error.response.data);
@@ -74,8 +151,107 @@ apiClient.interceptors.response.use(
             // Something else happened
             console.error('Error:', error.message);
         }
-        return Promise.reject(error);
+        return Promise.reject(classifyError(error));
     }
 );
 
+// Parse one "event: ...\ndata: ..." block from a Server-Sent Events stream
+const parseServerSentEvent = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    });
+    if (dataLines.length === 0) return null;
+
+    const rawData = dataLines.join('\n');
+    try {
+        return { event, data: JSON.parse(rawData) };
+    } catch {
+        return { event, data: rawData };
+    }
+};
+
+/**
+ * POST to a Server-Sent Events route and hand each event to `onEvent` as it arrives.
+ * axios can't read a response body incrementally in the browser, so this goes through fetch
+ * with the same base URL, cookies and CSRF header as apiClient.
+ *
+ * Failures, including an `error` event mid-stream, reject with an ApiError (see errors.js).
+ * Errors flagged `streamUnavailable` mean the route can't be used at all and nothing
+ * was received, so the caller can fall back to the blocking endpoint.
+ */
+export const streamRequest = async (path, body, { onEvent, signal } = {}) => {
+    if (DEMO_MODE) {
+        return (await loadMockBackend()).mockStreamRequest(path, body, { onEvent, signal });
+    }
+
+    const headers = {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+    };
+    const csrfToken = getCookie('csrftoken');
+    if (csrfToken) {
+        headers['X-CSRFToken'] = csrfToken;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            credentials: 'include',
+            signal,
+        });
+    } catch (error) {
+        if (isCancelledRequest(error)) {
+            throw error;
+        }
+        // fetch only rejects like this when the server couldn't be reached
+        error.code = 'ERR_NETWORK';
+        const apiError = classifyError(error);
+        apiError.streamUnavailable = true;
+        throw apiError;
+    }
+
+    if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        const error = classifyError({ response: { status: response.status, data } });
+        error.streamUnavailable = !response.body || [404, 405, 501].includes(response.status);
+        console.error('API Error:', response.status, data);
+        throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const parsed = parseServerSentEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (!parsed) continue;
+
+            if (parsed.event === 'error') {
+                reader.cancel();
+                // The stream itself opened fine, so report the failure as a server error
+                const data = parsed.data && typeof parsed.data === 'object' ? parsed.data : { error: parsed.data };
+                throw classifyError({ response: { status: data.status || 500, data } });
+            }
+            onEvent?.(parsed);
+        }
+    }
+};
+
 export default apiClient;
@@ -3,40 +3,62 @@
  * Wrapper functions for all 70 backend endpoints
  */
 
-import apiClient from './client';
+import apiClient, { streamRequest, TIMEOUTS } from './client';
 
-// Main Query Endpoint
-export const executeQuery = (data) => {
-    return apiClient.post('/query/', data);
+// `retry: true` marks POSTs that only read data, so the client may safely resend them
+
+// Main Query Endpoint - pass an AbortController signal to allow cancelling
+export const executeQuery = (data, { signal } = {}) => {
+    return apiClient.post('/query/', data, { signal, timeout: TIMEOUTS.query });
+};
+
+// Streaming variant of executeQuery: `token` events ({ text }) while the answer is
+// generated, then a final `metadata` event with the same payload as /query/
+export const streamQuery = (data, { onEvent, signal } = {}) => {
+    return streamRequest('/query/stream/', data, { onEvent, signal });
 };
 
 // Data Management
 export const loadMappings = (comparisonType) => {
-    return apiClient.post('/mappings/load/', { comparison_type: comparisonType });
+    return apiClient.post('/mappings/load/', { comparison_type: comparisonType }, { retry: true });
+};
+
+export const getCities = () => {
+    return apiClient.get('/cities/');
+};
+
+export const getComparisonItems = (comparisonType, city) => {
+    return apiClient.post('/items/', { comparison_type: comparisonType, city }, { retry: true });
 };
 
-export const getComparisonItems = (comparisonType) => {
-    return apiClient.post('/items/', { comparison_type: comparisonType });
+// Years with data for a comparison type and city: { years, item_years: { item: [years] } }
+export const getAvailableYears = (comparisonType, city) => {
+    return apiClient.post('/years/', { comparison_type: comparisonType, city }, { retry: true });
 };
 
-export const downloadBasicReport = () => {
+export const downloadBasicReport = (city) => {
     return apiClient.get('/download-basic-report/', {
+        params: city ? { city } : undefined,
         responseType: 'blob',
+        timeout: TIMEOUTS.report,
     });
 };
 
 export const generateStructuredReport = (data) => {
     return apiClient.post('/generate-structured-report/', data, {
         responseType: 'blob',
+        timeout: TIMEOUTS.report,
     });
 };
 
-export const getProjectRecommendations = () => {
-    return apiClient.get('/projects/recommendations/');
+export const getProjectRecommendations = (city) => {
+    return apiClient.get('/projects/recommendations/', {
+        params: city ? { city } : undefined,
+    });
 };
 
-export const getCategories = (comparisonType) => {
-    return apiClient.post('/categories/', { comparison_type: comparisonType });
+export const getCategories = (comparisonType, city) => {
+    return apiClient.post('/categories/', { comparison_type: comparisonType, city }, { retry: true });
 };
 
 // Agent Endpoints
@@ -45,7 +67,7 @@ export const runPlannerAgent = (query, candidateKeys, llmProvider = 'openai') =>
         query,
         candidate_keys: candidateKeys,
         llm_provider: llmProvider
-    });
+    }, { timeout: TIMEOUTS.agent, retry: true });
 };
 
 export const runColumnAgent = (query, selectedKeys, candidateColumns, llmProvider = 'openai') => {
@@ -54,7 +76,7 @@ export const runColumnAgent = (query, selectedKeys, candidateColumns, llmProvide
         selected_keys: selectedKeys,
         candidate_columns: candidateColumns,
         llm_provider: llmProvider
-    });
+    }, { timeout: TIMEOUTS.agent, retry: true });
 };
 
 export const runCorrectionAgent = (query, oldKeys, candidateKeys, llmProvider = 'openai') => {
@@ -63,7 +85,7 @@ export const runCorrectionAgent = (query, oldKeys, candidateKeys, llmProvider =
         old_keys: oldKeys,
         candidate_keys: candidateKeys,
         llm_provider: llmProvider
-    });
+    }, { timeout: TIMEOUTS.agent, retry: true });
 };
 
 // LangGraph
@@ -73,7 +95,7 @@ export const executeGraph = (query, comparisonType, candidateKeys, llmProvider =
         comparison_type: comparisonType,
         candidate_keys: candidateKeys,
         llm_provider: llmProvider
-    });
+    }, { timeout: TIMEOUTS.agent, retry: true });
 };
 
 // Cache Management
@@ -86,21 +108,25 @@ export const clearCache = () => {
 };
 
 // Utilities
-export const checkRelevance = (query, llmProvider = 'openai') => {
+// history: earlier turns, so a follow-up is judged in context (omitted when empty)
+export const checkRelevance = (query, llmProvider = 'openai', history = []) => {
     return apiClient.post('/relevance/', {
         query,
-        llm_provider: llmProvider
-    });
+        llm_provider: llmProvider,
+        ...(history.length && { history }),
+    }, { timeout: TIMEOUTS.agent, retry: true });
 };
 
 // HITL Feedback
+// A thumbs-down runs the correction agent, so this gets the agent timeout
 export const submitFeedback = (feedbackData) => {
-    return apiClient.post('/feedback/', feedbackData);
+    return apiClient.post('/feedback/', feedbackData, { timeout: TIMEOUTS.agent });
 };
 
 // Export all as named exports
 const api = {
     executeQuery,
+    streamQuery,
     loadMappings,
     getComparisonItems,
     downloadBasicReport,
@@ -0,0 +1,121 @@
+/**
+ * API Error Model
+ * Classifies axios/fetch failures into a small set of kinds so components can
+ * show a specific message and decide whether to offer a retry
+ */
+
+export const ERROR_KINDS = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    AUTH: 'auth',
+    VALIDATION: 'validation',
+    LLM_PROVIDER: 'llm_provider',
+    SERVER: 'server',
+    UNKNOWN: 'unknown',
+};
+
+const ERROR_TITLES = {
+    [ERROR_KINDS.NETWORK]: 'Backend unreachable',
+    [ERROR_KINDS.TIMEOUT]: 'Request timed out',
+    [ERROR_KINDS.AUTH]: 'Session expired',
+    [ERROR_KINDS.VALIDATION]: 'Invalid request',
+    [ERROR_KINDS.LLM_PROVIDER]: 'LLM provider failed',
+    [ERROR_KINDS.SERVER]: 'Server error',
+    [ERROR_KINDS.UNKNOWN]: 'Request failed',
+};
+
+// Fallback messages when the backend doesn't send one of its own
+const DEFAULT_MESSAGES = {
+    [ERROR_KINDS.NETWORK]: 'Could not reach the PropGPT backend. Check your connection and that the server is running.',
+    [ERROR_KINDS.TIMEOUT]: 'The backend took too long to respond.',
+    [ERROR_KINDS.AUTH]: 'Your session or CSRF token is no longer valid. Reload the page and try again.',
+    [ERROR_KINDS.VALIDATION]: 'The backend rejected the request. Check the selected items, categories and years.',
+    [ERROR_KINDS.LLM_PROVIDER]: 'The language model provider returned an error. Try again or switch provider.',
+    [ERROR_KINDS.SERVER]: 'The backend hit an unexpected error.',
+    [ERROR_KINDS.UNKNOWN]: 'An unexpected error occurred.',
+};
+
+// Kinds where sending the same request again has a reasonable chance of working
+const RETRYABLE_KINDS = [ERROR_KINDS.NETWORK, ERROR_KINDS.TIMEOUT, ERROR_KINDS.LLM_PROVIDER, ERROR_KINDS.SERVER];
+
+const LLM_PROVIDER_PATTERN = /openai|anthropic|claude|gemini|llm|rate.?limit|quota|model/i;
+
+export class ApiError extends Error {
+    constructor({ kind, message, status = null, code = null, response, config, cause }) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.title = ERROR_TITLES[kind];
+        this.status = status;
+        this.code = code;
+        this.retryable = RETRYABLE_KINDS.includes(kind);
+        // Kept so existing `error.response?.data` checks keep working
+        this.response = response;
+        this.config = config;
+        this.cause = cause;
+    }
+}
+
+// The backend reports failures as { error } or DRF-style { detail } / field errors
+const serverMessage = (data) => {
+    if (!data || typeof data !== 'object' || data instanceof Blob) return null;
+    if (typeof data.error === 'string') return data.error;
+    if (typeof data.detail === 'string') return data.detail;
+    if (typeof data.message === 'string') return data.message;
+    const fieldErrors = Object.entries(data)
+        .filter(([, value]) => Array.isArray(value) && value.every(v => typeof v === 'string'))
+        .map(([field, value]) => `${field}: ${value.join(' ')}`);
+    return fieldErrors.length ? fieldErrors.join('; ') : null;
+};
+
+const kindForResponse = (status, data, message) => {
+    if (data?.error_type && Object.values(ERROR_KINDS).includes(data.error_type)) return data.error_type;
+    if (status === 401 || status === 403) return ERROR_KINDS.AUTH;
+    if (status === 429) return ERROR_KINDS.LLM_PROVIDER;
+    if (status === 400 || status === 422) return ERROR_KINDS.VALIDATION;
+    if (status === 408 || status === 504) return ERROR_KINDS.TIMEOUT;
+    if (status >= 500) {
+        return message && LLM_PROVIDER_PATTERN.test(message) ? ERROR_KINDS.LLM_PROVIDER : ERROR_KINDS.SERVER;
+    }
+    return ERROR_KINDS.UNKNOWN;
+};
+
+/**
+ * Convert any request failure into an ApiError. Cancellations should be checked with
+ * isCancelledRequest first - they are not errors and are passed through untouched.
+ */
+export const classifyError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    const response = error?.response;
+    if (!response) {
+        const isTimeout = error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' || error?.name === 'TimeoutError';
+        const isNetwork = Boolean(error?.request) || error?.code === 'ERR_NETWORK';
+        const kind = isTimeout ? ERROR_KINDS.TIMEOUT : isNetwork ? ERROR_KINDS.NETWORK : ERROR_KINDS.UNKNOWN;
+        return new ApiError({
+            kind,
+            message: DEFAULT_MESSAGES[kind],
+            code: error?.code,
+            config: error?.config,
+            cause: error,
+        });
+    }
+
+    const fromServer = serverMessage(response.data);
+    const kind = kindForResponse(response.status, response.data, fromServer);
+    const isCsrfFailure = kind === ERROR_KINDS.AUTH && /csrf/i.test(fromServer || '');
+
+    return new ApiError({
+        kind,
+        message: isCsrfFailure ? DEFAULT_MESSAGES[ERROR_KINDS.AUTH] : fromServer || DEFAULT_MESSAGES[kind],
+        status: response.status,
+        code: error.code,
+        response,
+        config: error.config,
+        cause: error,
+    });
+};
+
+// User-facing text for any thrown value, with `fallback` for non-API failures
+export const errorMessage = (error, fallback = DEFAULT_MESSAGES[ERROR_KINDS.UNKNOWN]) =>
+    (error instanceof ApiError ? error.message : fallback);
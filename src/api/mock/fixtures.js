@@ -0,0 +1,87 @@
+/**
+ * Demo Fixtures
+ * Recorded-style responses served by the mock adapter when VITE_DEMO_MODE=true
+ */
+
+export const CITIES = ['Pune', 'Mumbai', 'Nagpur'];
+
+// city -> comparison type -> items
+export const ITEMS = {
+    Pune: {
+        location: ['Baner', 'Hinjewadi', 'Wakad', 'Kharadi', 'Hadapsar', 'Viman Nagar', 'Aundh', 'Balewadi'],
+        city: CITIES,
+        project: ['Godrej Woods', 'Kolte Patil Life Republic', 'Lodha Belmondo', 'Pride World City', 'VTP Blue Waters', 'Panchshil Towers'],
+    },
+    Mumbai: {
+        location: ['Andheri', 'Powai', 'Thane West', 'Borivali', 'Chembur', 'Worli'],
+        city: CITIES,
+        project: ['Lodha World One', 'Hiranandani Gardens', 'Oberoi Sky City', 'Runwal Greens'],
+    },
+    Nagpur: {
+        location: ['Dharampeth', 'Manish Nagar', 'Wardha Road', 'Hingna'],
+        city: CITIES,
+        project: ['Mahindra Bloomdale', 'Shapoorji Joyville Nagpur'],
+    },
+};
+
+export const CATEGORIES = ['all', 'supply', 'demand', 'price', 'demographics'];
+
+// mapping key -> columns it implies, with the data source of each column
+export const MAPPINGS = {
+    total_supply_units: ['Total Units Launched', 'Unsold Inventory'],
+    absorption_rate: ['Units Sold', 'Absorption %'],
+    price_per_sqft: ['Weighted Avg Rate (Rs/sqft)', 'Median Agreement Price'],
+    carpet_area_distribution: ['Carpet Area 0-500', 'Carpet Area 500-1000', 'Carpet Area 1000+'],
+    registrations: ['IGR Registrations', 'Total Agreement Value'],
+    population_demographics: ['Population', 'Households'],
+};
+
+export const COLUMN_SOURCES = {
+    'Total Units Launched': 'RERA',
+    'Unsold Inventory': 'RERA',
+    'Units Sold': 'IGR+RERA',
+    'Absorption %': 'IGR+RERA',
+    'Weighted Avg Rate (Rs/sqft)': 'IGR',
+    'Median Agreement Price': 'IGR-CGDB',
+    'Carpet Area 0-500': 'RERA',
+    'Carpet Area 500-1000': 'RERA',
+    'Carpet Area 1000+': 'RERA',
+    'IGR Registrations': 'IGR',
+    'Total Agreement Value': 'IGR-CGDB',
+    'Population': 'DA',
+    'Households': 'DA',
+};
+
+// Words in a query that point at each mapping key
+export const KEY_HINTS = {
+    total_supply_units: ['supply', 'launch', 'inventory', 'units'],
+    absorption_rate: ['absorption', 'sold', 'demand', 'sales'],
+    price_per_sqft: ['price', 'rate', 'sqft', 'cost'],
+    carpet_area_distribution: ['carpet', 'area', 'size', 'bhk'],
+    registrations: ['registration', 'igr', 'agreement'],
+    population_demographics: ['population', 'demographic', 'household'],
+};
+
+export const RECOMMENDATIONS = [
+    { project_name: 'Kolte Patil Life Republic', reasons: ['Highest absorption in Hinjewadi micro-market', 'Consistent launches since 2020'] },
+    { project_name: 'Godrej Woods', reasons: ['Premium pricing holding above city average'] },
+    { project_name: 'VTP Blue Waters', reasons: ['Low unsold inventory', 'Strong 2BHK demand'] },
+];
+
+// Off-topic words used by the demo relevance check
+export const IRRELEVANT_HINTS = ['weather', 'cricket', 'recipe', 'movie', 'joke', 'stock market'];
+
+export const CACHE_STATS = { active_entries: 12, expired_entries: 3 };
+
+// Smallest valid single-page PDF, so report downloads open in a viewer
+export const DEMO_PDF = `%PDF-1.4
+1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj
+2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj
+3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >> endobj
+4 0 obj << /Length 58 >> stream
+BT /F1 24 Tf 72 760 Td (PropGPT demo report) Tj ET
+endstream endobj
+5 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj
+trailer << /Root 1 0 R >>
+%%EOF
+`;
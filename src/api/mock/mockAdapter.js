@@ -0,0 +1,211 @@
+/**
+ * Mock Backend
+ * axios adapter (and streaming counterpart) that answers every endpoint in endpoints.js
+ * from local fixtures, so the app runs without the Django server (VITE_DEMO_MODE=true)
+ */
+
+import { AxiosError, CanceledError } from 'axios';
+import {
+    CITIES,
+    ITEMS,
+    CATEGORIES,
+    MAPPINGS,
+    COLUMN_SOURCES,
+    KEY_HINTS,
+    RECOMMENDATIONS,
+    IRRELEVANT_HINTS,
+    CACHE_STATS,
+    DEMO_PDF,
+} from './fixtures';
+
+const LATENCY_MS = Number(import.meta.env.VITE_DEMO_LATENCY_MS ?? 600);
+const DEMO_YEARS = [2020, 2021, 2022, 2023, 2024, 2025];
+const DEFAULT_YEARS = DEMO_YEARS.slice(-3);
+
+let cacheStats = { ...CACHE_STATS };
+
+// Resolve after `ms`, or reject as soon as the request is aborted
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new CanceledError());
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new CanceledError());
+    }, { once: true });
+});
+
+// Deterministic pseudo-random number so the same question always gets the same table
+const seededValue = (seed, min, max) => {
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+        hash = ((hash << 5) - hash + seed.charCodeAt(i)) | 0;
+    }
+    return min + (Math.abs(hash) % (max - min));
+};
+
+const formatNumber = (value) => value.toLocaleString('en-IN');
+
+const pickKeys = (query, candidateKeys = Object.keys(MAPPINGS)) => {
+    const text = (query || '').toLowerCase();
+    const matched = candidateKeys.filter(key => (KEY_HINTS[key] || []).some(hint => text.includes(hint)));
+    return matched.length ? matched : candidateKeys.slice(0, 2);
+};
+
+const columnsFor = (keys) => [...new Set(keys.flatMap(key => MAPPINGS[key] || []))];
+
+const buildItemTable = (item, years) => {
+    const rows = years.map(year => {
+        const seed = `${item}-${year}`;
+        return `| ${year} | ${formatNumber(seededValue(`${seed}-supply`, 800, 4500))} | ${formatNumber(seededValue(`${seed}-sold`, 500, 3800))} | ${formatNumber(seededValue(`${seed}-rate`, 5200, 11800))} |`;
+    });
+    return ['| Year | Units Launched | Units Sold | Avg Rate (Rs/sqft) |', '|---|---|---|---|', ...rows].join('\n');
+};
+
+const buildQueryResponse = (request) => {
+    const items = request.items?.length ? request.items : ['Pune'];
+    const years = request.years?.length ? [...request.years].sort() : DEFAULT_YEARS;
+    const mappingKeys = request.forced_mapping_keys?.length ? request.forced_mapping_keys : pickKeys(request.query);
+    const selectedColumns = columnsFor(mappingKeys);
+
+    const summaryRows = items.map(item =>
+        `| ${item} | ${formatNumber(seededValue(`${item}-total`, 4000, 20000))} | ${seededValue(`${item}-abs`, 35, 85)}% | ${formatNumber(seededValue(`${item}-avg`, 5200, 11800))} |`
+    );
+
+    const previousQueries = (request.history || []).filter(turn => turn.role === 'user').map(turn => turn.content);
+
+    const sections = [
+        `**Demo response** for: _${request.query}_`,
+        '',
+        ...(previousQueries.length ? [`_Follow-up with ${previousQueries.length} earlier turn(s) in context, last: "${previousQueries[previousQueries.length - 1]}"_`, ''] : []),
+        '### Summary',
+        '| Item | Total Units | Absorption | Avg Rate (Rs/sqft) |',
+        '|---|---|---|---|',
+        ...summaryRows,
+        '',
+    ];
+    items.forEach(item => {
+        sections.push(`### ${item}`, '', `${item} shows steady activity across ${years[0]}–${years[years.length - 1]}.`, '', buildItemTable(item, years), '');
+    });
+
+    return {
+        response_text: sections.join('\n'),
+        mapping_keys: mappingKeys,
+        selected_columns: selectedColumns,
+        columns_with_sources: selectedColumns.map(column => ({ column, source: COLUMN_SOURCES[column] || 'Unknown' })),
+        input_tokens: seededValue(`${request.query}-in`, 1200, 4800),
+        output_tokens: seededValue(`${request.query}-out`, 400, 1600),
+        cached: false,
+        estimated_time_message: 'Demo mode - served locally',
+    };
+};
+
+// "METHOD /path/" -> (body, config) => response data
+const ROUTES = {
+    'post /query/': (body) => buildQueryResponse(body),
+    'post /mappings/load/': () => ({ mappings: MAPPINGS }),
+    'get /cities/': () => ({ cities: CITIES }),
+    'post /items/': (body) => ({
+        items: ITEMS[body.city || CITIES[0]]?.[(body.comparison_type || 'location').toLowerCase()] || [],
+    }),
+    'post /categories/': () => ({ categories: CATEGORIES }),
+    'post /years/': (body) => {
+        const items = ITEMS[body.city || CITIES[0]]?.[(body.comparison_type || 'location').toLowerCase()] || [];
+        // Some items only start reporting part-way through the range
+        const itemYears = Object.fromEntries(items.map(item => [item, DEMO_YEARS.slice(seededValue(item, 0, 3))]));
+        return { years: DEMO_YEARS, item_years: itemYears };
+    },
+    'get /projects/recommendations/': () => ({ recommendations: RECOMMENDATIONS }),
+    'get /download-basic-report/': () => new Blob([DEMO_PDF], { type: 'application/pdf' }),
+    'post /generate-structured-report/': () => new Blob([DEMO_PDF], { type: 'application/pdf' }),
+    'post /agents/planner/': (body) => ({ selected_keys: pickKeys(body.query, body.candidate_keys) }),
+    'post /agents/column/': (body) => ({ selected_columns: (body.candidate_columns || []).slice(0, 4) }),
+    'post /agents/correction/': (body) => ({
+        new_keys: (body.candidate_keys || []).filter(key => !(body.old_keys || []).includes(key)).slice(0, 2),
+    }),
+    'post /graph/execute/': (body) => {
+        const keys = pickKeys(body.query, body.candidate_keys);
+        return { selected_keys: keys, selected_columns: columnsFor(keys).slice(0, 4) };
+    },
+    'get /cache/stats/': () => cacheStats,
+    'post /cache/clear/': () => {
+        cacheStats = { active_entries: 0, expired_entries: 0 };
+        return { success: true };
+    },
+    'post /relevance/': (body) => {
+        const text = (body.query || '').toLowerCase();
+        const offTopic = IRRELEVANT_HINTS.find(hint => text.includes(hint));
+        return offTopic
+            ? { is_relevant: false, reason: `"${offTopic}" is not covered by the real estate datasets.` }
+            : { is_relevant: true };
+    },
+    // Keeps the keys the user didn't reject and swaps the rejected ones for unused keys
+    'post /feedback/': (body) => {
+        if (body.feedback_type !== 'down') return { success: true };
+        const oldKeys = body.old_mapping_keys || [];
+        const rejected = body.rejected_mapping_keys || [];
+        const kept = oldKeys.filter(key => !rejected.includes(key));
+        const unused = Object.keys(MAPPINGS).filter(key => !oldKeys.includes(key));
+        if (!rejected.length) return { success: true, new_mapping_keys: unused.slice(0, 2) };
+        return { success: true, new_mapping_keys: [...kept, ...unused.slice(0, rejected.length)] };
+    },
+};
+
+const parseBody = (data) => {
+    if (!data) return {};
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return {};
+    }
+};
+
+const findRoute = (method, url) => ROUTES[`${method.toLowerCase()} ${url.split('?')[0]}`];
+
+/**
+ * axios adapter: resolves like a real response, rejects with CanceledError when
+ * aborted and with a 404 AxiosError for routes the demo backend doesn't know.
+ */
+export const mockAdapter = async (config) => {
+    await delay(LATENCY_MS, config.signal);
+
+    const handler = findRoute(config.method, config.url);
+    if (!handler) {
+        const response = { data: { error: `Demo backend has no route for ${config.url}` }, status: 404, statusText: 'Not Found', headers: {}, config };
+        throw new AxiosError(`Request failed with status code 404`, AxiosError.ERR_BAD_REQUEST, config, null, response);
+    }
+
+    return {
+        data: handler(parseBody(config.data), config),
+        status: 200,
+        statusText: 'OK',
+        headers: {},
+        config,
+        request: {},
+    };
+};
+
+/**
+ * Streaming counterpart used by streamRequest: replays a /query/ fixture as
+ * `token` events, then the `metadata` event.
+ */
+export const mockStreamRequest = async (path, body, { onEvent, signal } = {}) => {
+    if (path !== '/query/stream/') {
+        const error = new Error(`Demo backend has no stream route for ${path}`);
+        error.streamUnavailable = true;
+        throw error;
+    }
+
+    const data = buildQueryResponse(body);
+    await delay(LATENCY_MS, signal);
+
+    const chunks = data.response_text.match(/[\s\S]{1,24}/g) || [];
+    for (const chunk of chunks) {
+        await delay(15, signal);
+        onEvent?.({ event: 'token', data: { text: chunk } });
+    }
+    onEvent?.({ event: 'metadata', data });
+};
@@ -6,34 +6,114 @@
 
 import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
-import { executeQuery, downloadBasicReport, generateStructuredReport } from '../api/endpoints';
+import { executeQuery, streamQuery, checkRelevance, downloadBasicReport, generateStructuredReport } from '../api/endpoints';
+import { isCancelledRequest, DEMO_MODE } from '../api/client';
+import { classifyError, errorMessage } from '../api/errors';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import FeedbackButtons from './FeedbackButtons';
 import DataSourceDisplay from './DataSourceDisplay';
+import GraphDisplay from './GraphDisplay';
+import PipelineInspector from './PipelineInspector';
+import MappingReview from './MappingReview';
+import CorrectionReview from './CorrectionReview';
+import MessageActions from './MessageActions';
+import ContextTurns from './ContextTurns';
+import QueryTemplates from './QueryTemplates';
+import ReportBuilder from './ReportBuilder';
+import ExportableTable from './ExportableTable';
+import NotificationHistory from './NotificationHistory';
+import ProviderComparison from './ProviderComparison';
+import UsageDashboard from './UsageDashboard';
+import { BUILT_IN_PRESETS } from '../utils/reportPresets';
+import { downloadBlob, slugify } from '../utils/download';
+import { buildShareUrl } from '../utils/shareLink';
+import { LLM_PROVIDERS, toProviderParam, fromProviderParam } from '../utils/providers';
+import { deriveSessionTitle } from '../utils/sessionStore';
+import { normalizeResponseMarkdown, markdownToPlainText } from '../utils/markdown';
+import { startBranch, switchBranch, deleteTurn, turnStart, turnEnd, branchInfo } from '../utils/branches';
+import { contextTurns, toHistoryPayload, CONTEXT_MODES } from '../utils/conversationContext';
+import { hasMarkdownTable } from '../utils/markdownTable';
+
+// Map a /query/ response payload onto the metadata stored with an assistant message.
+// The providers and the analysed scope come from the request, so usage and feedback
+// can be attributed to what actually produced the answer.
+const toMessageMetadata = (data, requestData) => ({
+    mappingProvider: fromProviderParam(requestData.mapping_llm_provider),
+    responseProvider: fromProviderParam(requestData.response_llm_provider),
+    items: requestData.items,
+    categories: requestData.categories,
+    comparisonType: requestData.comparison_type,
+    mappingKeys: data.mapping_keys,
+    selectedColumns: data.selected_columns,
+    columnsWithSources: data.columns_with_sources,
+    inputTokens: data.input_tokens,
+    outputTokens: data.output_tokens,
+    cached: data.cached,
+    timeMessage: data.estimated_time_message,
+});
 
 const ChatInterface = () => {
     const {
         messages,
+        sessions,
+        activeSessionId,
         addMessage,
+        updateMessage,
+        transformMessages,
         comparisonType,
+        selectedCity,
         selectedItems,
         selectedCategories,
         selectedYears,
         mappingLLMProvider,
         responseLLMProvider,
+        streamResponses,
+        reviewMappingFirst,
+        includeHistory,
+        compareProviders,
         loading,
         setLoading,
         setError,
+        notify,
+        dismissNotification,
+        sharedQuery,
     } = useApp();
 
-    const [inputValue, setInputValue] = useState('');
+    const [inputValue, setInputValue] = useState(sharedQuery);
     const [estimatedTime, setEstimatedTime] = useState(0);
     const [countdown, setCountdown] = useState(0);
     const [isReportMenuOpen, setIsReportMenuOpen] = useState(false);
     const [isGeneratingReport, setIsGeneratingReport] = useState(false);
+    const [isInspectorOpen, setIsInspectorOpen] = useState(false);
+    const [isUsageOpen, setIsUsageOpen] = useState(false);
+    const [isTemplatesOpen, setIsTemplatesOpen] = useState(false);
+    const [isReportBuilderOpen, setIsReportBuilderOpen] = useState(false);
+    // Query waiting for its mapping keys to be approved ("review mapping first" mode)
+    const [pendingReview, setPendingReview] = useState(null);
+    // Keys proposed by the correction agent after a thumbs-down, awaiting approval
+    const [pendingCorrection, setPendingCorrection] = useState(null);
+    // User message being edited in place, resent as a new branch
+    const [editingMessageId, setEditingMessageId] = useState(null);
+    const [editValue, setEditValue] = useState('');
+    // Toast offering to undo the last deleted turn, and the session it belongs to
+    const undoDeleteToastRef = useRef(null);
+    const activeSessionIdRef = useRef(activeSessionId);
+    // Off-topic query awaiting "send anyway" or "rephrase"
+    const [relevanceWarning, setRelevanceWarning] = useState(null);
+    const [isCheckingRelevance, setIsCheckingRelevance] = useState(false);
+    // Relevance results keyed by query text, so the same question is never checked twice
+    const relevanceCacheRef = useRef(new Map());
+    const inputRef = useRef(null);
+    // Which message blocks have their charts expanded. Kept here rather than in
+    // AssistantMessage, which is re-created on every render of this component.
+    const [visualizedBlocks, setVisualizedBlocks] = useState({});
+    // Id of the assistant message currently receiving streamed text
+    const [streamingMessageId, setStreamingMessageId] = useState(null);
     const messagesEndRef = useRef(null);
     const countdownIntervalRef = useRef(null);
+    // AbortController of the query currently in flight, used by the Stop button
+    const abortControllerRef = useRef(null);
     const menuRef = useRef(null);
 
     const scrollToBottom = () => {
@@ -44,6 +124,18 @@ const ChatInterface = () => {
         scrollToBottom();
     }, [messages]);
 
+    // A review belongs to the session it was started in, and so does an undoable delete
+    useEffect(() => {
+        activeSessionIdRef.current = activeSessionId;
+        setPendingReview(null);
+        setPendingCorrection(null);
+        setEditingMessageId(null);
+        if (undoDeleteToastRef.current) {
+            dismissNotification(undoDeleteToastRef.current);
+            undoDeleteToastRef.current = null;
+        }
+    }, [activeSessionId]);
+
     // Handle clicks outside the report menu to close it
     useEffect(() => {
         const handleClickOutside = (event) => {
@@ -100,37 +192,343 @@ const ChatInterface = () => {
         e.preventDefault();
 
         if (!inputValue.trim()) return;
+        if (!hasValidSelection()) return;
 
-        if (!selectedItems.length) {
-            alert(`Please select at least one ${comparisonType} to analyze.`);
+        const userQuery = inputValue.trim();
+        setRelevanceWarning(null);
+
+        setIsCheckingRelevance(true);
+        const relevance = await getRelevance(userQuery);
+        setIsCheckingRelevance(false);
+
+        if (!relevance.isRelevant) {
+            setRelevanceWarning({ query: userQuery, reason: relevance.reason });
             return;
         }
 
+        submitQuery(userQuery);
+    };
+
+    const hasValidSelection = () => {
+        if (!selectedItems.length) {
+            notify({ level: 'warning', message: `Please select at least one ${comparisonType} to analyze.` });
+            return false;
+        }
         if (!selectedCategories.length) {
-            alert('Please select at least one category to analyze.');
-            return;
+            notify({ level: 'warning', message: 'Please select at least one category to analyze.' });
+            return false;
         }
+        return true;
+    };
 
-        const userQuery = inputValue.trim();
+    // Resolves { isRelevant, reason }. A failed check lets the query through rather than blocking it.
+    // Follow-ups are checked with their context and not cached, since the context changes.
+    const getRelevance = async (query) => {
+        const cache = relevanceCacheRef.current;
+        const history = includeHistory ? toHistoryPayload(contextTurns(messages)) : [];
+        if (!history.length && cache.has(query)) return cache.get(query);
+
+        try {
+            const response = await checkRelevance(query, toProviderParam(mappingLLMProvider), history);
+            const data = response.data;
+            const result = {
+                isRelevant: data.is_relevant ?? data.relevant ?? true,
+                reason: data.reason || data.message || null,
+            };
+            if (!history.length) cache.set(query, result);
+            return result;
+        } catch (error) {
+            console.error('Relevance check error:', error);
+            return { isRelevant: true, reason: null };
+        }
+    };
+
+    const handleSendAnyway = () => {
+        const { query } = relevanceWarning;
+        setRelevanceWarning(null);
+        submitQuery(query);
+    };
+
+    const handleRephrase = () => {
+        setRelevanceWarning(null);
+        inputRef.current?.focus();
+    };
+
+    const submitQuery = (userQuery) => {
         setInputValue('');
 
         // Add user message
         addMessage('user', userQuery);
 
-        // Prepare request data
-        const requestData = {
-            query: userQuery,
+        sendRequest(buildRequestData(userQuery));
+    };
+
+    // /query/ payload for the current configuration; overrides replace individual fields.
+    // contextEnd is where the query sits in the conversation - earlier turns become its history.
+    const buildRequestData = (query, overrides = {}, contextEnd = messages.length) => {
+        const history = includeHistory ? toHistoryPayload(contextTurns(messages, contextEnd)) : [];
+        return {
+            query,
+            city: selectedCity,
             items: selectedItems,
             categories: selectedCategories.map(cat => cat.toLowerCase()), // Convert to lowercase for backend
             comparison_type: comparisonType,
-            mapping_llm_provider: mappingLLMProvider.toLowerCase().replace(' ', '_'),
-            response_llm_provider: responseLLMProvider.toLowerCase().replace(' ', '_'),
+            mapping_llm_provider: toProviderParam(mappingLLMProvider),
+            response_llm_provider: toProviderParam(responseLLMProvider),
             years: comparisonType.toLowerCase() === 'project' ? null : selectedYears,
+            ...(history.length && { history }),
+            ...overrides,
         };
+    };
 
-        setLoading(true);
+    // Run a new query, through the mapping review first when that mode is on
+    const sendRequest = (requestData) => {
+        if (reviewMappingFirst) {
+            setPendingReview({ requestData });
+            return;
+        }
+
+        runQuery(requestData);
+    };
+
+    const handleReviewApproved = (keys) => {
+        const { requestData } = pendingReview;
+        setPendingReview(null);
+        runQuery(keys ? { ...requestData, forced_mapping_keys: keys } : requestData);
+    };
+
+    const handleReviewCancelled = () => {
+        setPendingReview(null);
+        recordCancellation();
+    };
+
+    // Re-run the rejected answer's query with the approved keys. The corrected answer and
+    // the original point at each other (correctionOf / correctedBy).
+    const handleCorrectionApproved = (keys) => {
+        const { messageId, query } = pendingCorrection;
+        setPendingCorrection(null);
         setError(null);
 
+        const { signal } = beginRequest();
+
+        // The corrected answer covers the same scope and gets the context the rejected one had
+        const originalIndex = messages.findIndex(m => m.id === messageId);
+        const original = messages[originalIndex]?.metadata || {};
+        const requestData = buildRequestData(
+            query,
+            {
+                ...(original.items && { items: original.items }),
+                ...(original.categories && { categories: original.categories }),
+                ...(original.comparisonType && { comparison_type: original.comparisonType }),
+                forced_mapping_keys: keys,
+            },
+            originalIndex >= 0 ? turnStart(messages, originalIndex) : messages.length
+        );
+
+        executeQuery(requestData, { signal })
+            .then(response => {
+                const data = response.data;
+                const correctedId = addMessage('assistant', data.response_text, {
+                    ...toMessageMetadata(data, requestData),
+                    correctionOf: messageId,
+                });
+                transformMessages(prev => prev.map(m => (m.id === messageId
+                    ? { ...m, metadata: { ...m.metadata, correctedBy: correctedId } }
+                    : m)));
+            })
+            .catch(error => {
+                if (isCancelledRequest(error)) {
+                    recordCancellation();
+                    return;
+                }
+                console.error('Correction error:', error);
+                recordFailure(error, requestData);
+            })
+            .finally(finishRequest);
+    };
+
+    const scrollToMessage = (id) => {
+        document.getElementById(`message-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    const startEditing = (message) => {
+        setEditingMessageId(message.id);
+        setEditValue(message.content);
+    };
+
+    // Resend an edited query as a new version of the conversation from that turn
+    const handleEditResend = (index) => {
+        const query = editValue.trim();
+        if (!query || !hasValidSelection()) return;
+        setEditingMessageId(null);
+        transformMessages(prev => startBranch(prev, index, query));
+        sendRequest(buildRequestData(query, {}, index));
+    };
+
+    // Answer the same query again as a new version, optionally with another response provider
+    const handleRegenerate = (index, provider) => {
+        const userIndex = turnStart(messages, index);
+        if (userIndex < 0 || !hasValidSelection()) return;
+        const query = messages[userIndex].content;
+        transformMessages(prev => startBranch(prev, userIndex, query));
+        runQuery(buildRequestData(query, { response_llm_provider: toProviderParam(provider) }, userIndex), { compare: false });
+    };
+
+    const handleSwitchBranch = (index, target) => {
+        setEditingMessageId(null);
+        transformMessages(prev => switchBranch(prev, index, target));
+    };
+
+    // Pin or exclude a turn for the context of later queries; the same mode again clears it
+    const toggleContextMode = (message, mode) => {
+        const context = message.metadata?.context === mode ? undefined : mode;
+        updateMessage(message.id, { metadata: { ...message.metadata, context } });
+    };
+
+    // Undo puts back only the deleted messages, after the message that preceded them,
+    // so turns sent in the meantime survive. It is dropped once the session changes.
+    const handleDeleteTurn = (index) => {
+        const deleted = messages.slice(index, turnEnd(messages, index));
+        const anchorId = messages[index - 1]?.id;
+        const sessionId = activeSessionId;
+        transformMessages(prev => deleteTurn(prev, index));
+
+        const restore = (prev) => {
+            const anchorIndex = anchorId ? prev.findIndex(m => m.id === anchorId) : -1;
+            const position = anchorIndex >= 0 ? anchorIndex + 1 : Math.min(index, prev.length);
+            return [...prev.slice(0, position), ...deleted, ...prev.slice(position)];
+        };
+
+        undoDeleteToastRef.current = notify({
+            level: 'info',
+            message: 'Turn deleted',
+            actions: [{
+                label: 'Undo',
+                onClick: () => {
+                    if (activeSessionIdRef.current !== sessionId) return;
+                    transformMessages(restore);
+                },
+            }],
+        });
+    };
+
+    const copyToClipboard = async (text, label) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            notify({ level: 'success', message: `${label} copied to clipboard` });
+        } catch (error) {
+            console.error('Copy error:', error);
+            notify({ level: 'error', title: 'Copy failed', message: errorMessage(error) });
+        }
+    };
+
+    // Turns that go with the next query typed in the composer
+    const nextContextTurns = useMemo(() => contextTurns(messages), [messages]);
+
+    // Editing, regenerating and deleting wait until nothing is in flight or awaiting review
+    const isConversationBusy = loading || !!pendingReview || !!pendingCorrection;
+
+    // compare: answer with every provider side by side (defaults to the configuration)
+    const runQuery = async (requestData, { compare = compareProviders } = {}) => {
+        setError(null);
+        const { signal } = beginRequest();
+
+        try {
+            if (compare) {
+                await compareProviderAnswers(requestData, signal);
+                return;
+            }
+
+            const streamed = streamResponses && await streamAssistantResponse(requestData, signal);
+
+            if (!streamed) {
+                startCountdown(requestData.query);
+                const response = await executeQuery(requestData, { signal });
+                const data = response.data;
+
+                // Add assistant message with metadata
+                addMessage('assistant', data.response_text, toMessageMetadata(data, requestData));
+            }
+        } catch (error) {
+            if (isCancelledRequest(error)) {
+                recordCancellation();
+                return;
+            }
+            console.error('Query error:', error);
+            recordFailure(error, requestData);
+        } finally {
+            finishRequest();
+        }
+    };
+
+    // The same request once per provider (mapping and response), in parallel. A failing
+    // provider gets an error column instead of failing the whole comparison.
+    const compareProviderAnswers = async (requestData, signal) => {
+        startCountdown(requestData.query);
+        const results = await Promise.all(LLM_PROVIDERS.map(async (provider) => {
+            const providerParam = toProviderParam(provider);
+            const startedAt = performance.now();
+            const elapsed = () => Math.round(performance.now() - startedAt);
+            try {
+                const providerRequest = {
+                    ...requestData,
+                    mapping_llm_provider: providerParam,
+                    response_llm_provider: providerParam,
+                };
+                const response = await executeQuery(providerRequest, { signal });
+                return {
+                    provider,
+                    content: response.data.response_text,
+                    metadata: toMessageMetadata(response.data, providerRequest),
+                    latencyMs: elapsed(),
+                    error: null,
+                };
+            } catch (error) {
+                if (isCancelledRequest(error)) throw error;
+                console.error(`Comparison error (${provider}):`, error);
+                const { kind, title, message } = classifyError(error);
+                return { provider, content: '', metadata: {}, latencyMs: elapsed(), error: { kind, title, message } };
+            }
+        }));
+        addMessage('comparison', '', { results });
+    };
+
+    // Every query run goes through these so the Stop button can cancel it
+    const beginRequest = () => {
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setLoading(true);
+        return controller;
+    };
+
+    const finishRequest = () => {
+        abortControllerRef.current = null;
+        setLoading(false);
+        stopCountdown();
+    };
+
+    const handleStop = () => {
+        abortControllerRef.current?.abort();
+        stopCountdown();
+    };
+
+    const recordCancellation = () => {
+        addMessage('error', 'Query cancelled. No answer was generated.', { cancelled: true });
+    };
+
+    // Error message with its kind; retryable failures keep the request so it can be re-run as-is
+    const recordFailure = (error, requestData) => {
+        const apiError = classifyError(error);
+        setError(apiError.message);
+        addMessage('error', apiError.message, {
+            errorKind: apiError.kind,
+            errorTitle: apiError.title,
+            retryRequest: apiError.retryable ? requestData : null,
+        });
+    };
+
+    // Heuristic progress bar for the blocking endpoint, which gives no progress of its own
+    const startCountdown = (userQuery) => {
         // Estimate time based on backend benchmarks (minimum 55s)
         const qCount = (userQuery.match(/and|\?|\n/gi) || []).length + 1;
         const estimatedSeconds = Math.max(55, 10 + (selectedItems.length * 5) + (selectedCategories.length * 3) + (qCount * 10));
@@ -147,101 +545,233 @@ const ChatInterface = () => {
                 return prev - 1;
             });
         }, 1000);
+    };
 
-        try {
-            const response = await executeQuery(requestData);
-            const data = response.data;
+    const stopCountdown = () => {
+        setEstimatedTime(0);
+        setCountdown(0);
+        if (countdownIntervalRef.current) {
+            clearInterval(countdownIntervalRef.current);
+            countdownIntervalRef.current = null;
+        }
+    };
 
-            // Add assistant message with metadata
-            addMessage('assistant', data.response_text, {
-                mappingKeys: data.mapping_keys,
-                selectedColumns: data.selected_columns,
-                columnsWithSources: data.columns_with_sources,
-                inputTokens: data.input_tokens,
-                outputTokens: data.output_tokens,
-                cached: data.cached,
-                timeMessage: data.estimated_time_message,
+    // Render the answer incrementally from /query/stream/. Resolves false when the
+    // stream route can't be used so the caller can fall back to executeQuery.
+    const streamAssistantResponse = async (requestData, signal) => {
+        let messageId = null;
+        let text = '';
+        let finalData = null;
+
+        try {
+            await streamQuery(requestData, {
+                signal,
+                onEvent: ({ event, data }) => {
+                    if (event === 'token') {
+                        text += typeof data === 'string' ? data : (data.text || '');
+                        if (messageId) {
+                            updateMessage(messageId, { content: text });
+                        } else {
+                            messageId = addMessage('assistant', text, { streaming: true });
+                            setStreamingMessageId(messageId);
+                        }
+                    } else if (event === 'metadata') {
+                        finalData = data;
+                    }
+                },
             });
         } catch (error) {
-            console.error('Query error:', error);
-            setError(error.response?.data?.error || 'An error occurred while processing your query.');
-            addMessage('error', error.response?.data?.error || 'An error occurred while processing your query.');
-        } finally {
-            setLoading(false);
-            setEstimatedTime(0);
-            setCountdown(0);
-            if (countdownIntervalRef.current) {
-                clearInterval(countdownIntervalRef.current);
+            if (!messageId && error.streamUnavailable) {
+                console.warn('Streaming unavailable, falling back to blocking query:', error.message);
+                return false;
+            }
+            if (messageId) {
+                // Keep whatever arrived before the failure, without the live cursor
+                updateMessage(messageId, { metadata: isCancelledRequest(error) ? { cancelled: true } : {} });
             }
+            throw error;
+        } finally {
+            setStreamingMessageId(null);
         }
+
+        const content = finalData?.response_text || text;
+        const metadata = toMessageMetadata(finalData || {}, requestData);
+        if (messageId) {
+            updateMessage(messageId, { content, metadata });
+        } else {
+            addMessage('assistant', content, metadata);
+        }
+        return true;
     };
 
     const downloadFile = (response, filename) => {
-        const url = window.URL.createObjectURL(new Blob([response.data]));
-        const link = document.createElement('a');
-        link.href = url;
-        link.setAttribute('download', filename);
-        document.body.appendChild(link);
-        link.click();
-        link.parentNode.removeChild(link);
-        window.URL.revokeObjectURL(url);
+        downloadBlob(new Blob([response.data]), filename);
     };
 
     const handleDownloadBasicReport = async () => {
         setIsReportMenuOpen(false);
         setIsGeneratingReport(true);
         try {
-            const response = await downloadBasicReport();
+            const response = await downloadBasicReport(selectedCity);
             downloadFile(response, 'propgpt_basic_report.pdf');
         } catch (error) {
             console.error('Basic report download error:', error);
-            alert('Failed to download basic report.');
+            notify({
+                level: 'error',
+                title: 'Basic report failed',
+                message: errorMessage(error),
+                actions: [{ label: 'Retry', onClick: handleDownloadBasicReport }],
+            });
         } finally {
             setIsGeneratingReport(false);
         }
     };
 
-    const handleGenerateStructuredReport = async (preset) => {
-        setIsReportMenuOpen(false);
-        setIsGeneratingReport(true);
+    const EXPORT_FORMATS = {
+        markdown: { extension: 'md', mimeType: 'text/markdown', builder: 'exportChatToMarkdown' },
+        json: { extension: 'json', mimeType: 'application/json', builder: 'exportChatToJSON' },
+        html: { extension: 'html', mimeType: 'text/html', builder: 'exportChatToHTML' },
+    };
 
-        let sections = [];
-        if (preset === 'quick') {
-            sections = ['Executive Summary', 'Market Overview', 'Charts & Visuals'];
-        } else if (preset === 'institutional') {
-            sections = ['Executive Summary', 'Market Overview', 'Charts & Visuals', 'Investment Advisory', 'Strategic Synthesis', 'Detailed Intelligence Analysis'];
+    // Client-side export of the current chat - no backend round-trip. The exporters pull in
+    // react-dom/server for the HTML format, so they're only loaded when first used.
+    const handleExportChat = async (format) => {
+        setIsReportMenuOpen(false);
+        const { extension, mimeType, builder } = EXPORT_FORMATS[format];
+        try {
+            const exporters = await import('../utils/chatExport');
+            const build = exporters[builder];
+            const title = sessions.find(s => s.id === activeSessionId)?.title || deriveSessionTitle(messages);
+            const content = build({
+                title,
+                config: {
+                    comparisonType,
+                    selectedCity,
+                    selectedItems,
+                    selectedCategories,
+                    selectedYears,
+                    mappingLLMProvider,
+                    responseLLMProvider,
+                },
+                messages,
+            });
+            const date = new Date().toISOString().slice(0, 10);
+            downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), `propgpt_${slugify(title, 'chat')}_${date}.${extension}`);
+        } catch (error) {
+            console.error('Chat export error:', error);
+            notify({
+                level: 'error',
+                title: 'Chat export failed',
+                message: errorMessage(error),
+                actions: [{ label: 'Retry', onClick: () => handleExportChat(format) }],
+            });
         }
+    };
+
+    const handleGenerateStructuredReport = (presetId) => {
+        const preset = BUILT_IN_PRESETS.find(p => p.id === presetId);
+        generateReport({ sections: preset.sections, preset: preset.id });
+    };
+
+    // Payload is built by a preset shortcut or by the report builder dialog
+    const generateReport = async (payload) => {
+        setIsReportMenuOpen(false);
+        setIsReportBuilderOpen(false);
+        setIsGeneratingReport(true);
 
         try {
-            const response = await generateStructuredReport({
-                sections,
-                preset
-            });
-            downloadFile(response, `propgpt_${preset}_report.pdf`);
+            const response = await generateStructuredReport({ ...payload, city: selectedCity });
+            downloadFile(response, `propgpt_${payload.preset}_report.pdf`);
         } catch (error) {
             console.error('Structured report generation error:', error);
-            alert('Failed to generate structured report. Ensure you have a relevant chat history.');
+            notify({
+                level: 'error',
+                title: 'Structured report failed',
+                message: errorMessage(error, 'Ensure you have a relevant chat history.'),
+                actions: [{ label: 'Retry', onClick: () => generateReport(payload) }],
+            });
         } finally {
             setIsGeneratingReport(false);
         }
     };
 
+    // Link that opens this configuration (and the query being typed, if any) for someone else
+    const handleCopyLink = async () => {
+        const url = buildShareUrl({
+            comparisonType,
+            selectedCity,
+            selectedItems,
+            selectedCategories,
+            selectedYears,
+            mappingLLMProvider,
+            responseLLMProvider,
+        }, inputValue);
+        try {
+            await navigator.clipboard.writeText(url);
+            notify({ level: 'success', message: 'Link to this configuration copied to clipboard' });
+        } catch (error) {
+            console.error('Copy link error:', error);
+            notify({ level: 'error', title: 'Copy failed', message: url, duration: 0 });
+        }
+    };
+
+    const handleInsertTemplate = (text) => {
+        setIsTemplatesOpen(false);
+        setInputValue(text);
+        setRelevanceWarning(null);
+        inputRef.current?.focus();
+    };
+
+    const toggleVisualization = (blockKey) => {
+        setVisualizedBlocks(prev => ({ ...prev, [blockKey]: !prev[blockKey] }));
+    };
+
     const AssistantMessage = ({ message, index }) => {
+        const messageKey = message.id || `message-${index}`;
+        const isStreaming = !!message.metadata?.streaming;
+
         const comparison = useMemo(() =>
             parseComparisonContent(message.content, selectedItems),
             [message.content, selectedItems]
         );
 
-        const renderMarkdown = (content) => (
-            <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                {content
-                    // Convert [Header] to ### Header
-                    .replace(/^\[(.*?)\]$/gm, '### $1')
-                    // Ensure newlines after headers if they are sticking to text
-                    .replace(/### (.*?)\n(?!\n)/g, '### $1\n\n')
-                }
-            </ReactMarkdown>
-        );
+        const renderMarkdown = (content) => {
+            const source = normalizeResponseMarkdown(content);
+            return (
+                <ReactMarkdown
+                    remarkPlugins={[remarkGfm]}
+                    components={{
+                        // Tables get CSV / Excel actions, except while still streaming in
+                        table: isStreaming ? 'table' : (tableProps) => <ExportableTable source={source} {...tableProps} />,
+                    }}
+                >
+                    {source}
+                </ReactMarkdown>
+            );
+        };
+
+        // "Visualize" toggle for a block of markdown that contains at least one table
+        const renderVisualizeToggle = (blockKey, content) => {
+            // Partial tables mid-stream would only produce half-drawn charts
+            if (isStreaming || !hasMarkdownTable(content)) return null;
+            const isVisible = !!visualizedBlocks[blockKey];
+
+            return (
+                <div className="mt-4 not-prose">
+                    <button
+                        onClick={() => toggleVisualization(blockKey)}
+                        className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-[10px] font-bold uppercase tracking-wider transition-colors ${isVisible
+                            ? 'bg-blue-600/20 text-blue-300 border-blue-500/40'
+                            : 'bg-slate-800/50 text-slate-400 border-slate-700/50 hover:text-blue-300 hover:border-blue-500/30'
+                            }`}
+                    >
+                        <span>📈</span>
+                        <span>{isVisible ? 'Hide Charts' : 'Visualize'}</span>
+                    </button>
+                    {isVisible && <GraphDisplay content={content} />}
+                </div>
+            );
+        };
 
         return (
             <div className="flex flex-col gap-3 w-full animate-in fade-in slide-in-from-bottom-4 duration-500">
@@ -249,6 +779,18 @@ const ChatInterface = () => {
                     relative w-full rounded-2xl p-6 shadow-xl border border-slate-700/50
                     bg-gradient-to-br from-slate-800/80 to-slate-900/80 backdrop-blur-xl text-slate-200
                 `}>
+                    {(message.metadata?.correctionOf || message.metadata?.correctedBy) && (
+                        <div className="flex items-center gap-2 mb-4 text-[10px] font-bold uppercase tracking-wider text-amber-400/80">
+                            <span>{message.metadata.correctionOf ? '↻ Corrected answer' : 'Superseded by a corrected answer'}</span>
+                            <button
+                                onClick={() => scrollToMessage(message.metadata.correctionOf || message.metadata.correctedBy)}
+                                className="text-amber-300 hover:text-amber-200 underline underline-offset-2"
+                            >
+                                {message.metadata.correctionOf ? 'View original' : 'View correction'}
+                            </button>
+                        </div>
+                    )}
+
                     {message.metadata?.cached && (
                         <div className="absolute -top-3 right-6 bg-emerald-500/20 text-emerald-400 text-[10px] font-bold px-3 py-1 rounded-full border border-emerald-500/30 backdrop-blur-md shadow-lg shadow-emerald-500/10">
                             ⚡ OPTIMIZED FROM CACHE
@@ -260,6 +802,7 @@ const ChatInterface = () => {
                             {comparison.generalContent.trim() && (
                                 <div className="prose prose-invert prose-sm max-w-none mb-6 pb-6 border-b border-slate-700/50 font-medium text-slate-300 italic">
                                     {renderMarkdown(comparison.generalContent)}
+                                    {renderVisualizeToggle(`${messageKey}:general`, comparison.generalContent)}
                                 </div>
                             )}
                             <div className={`grid gap-6 grid-cols-1 ${comparison.foundItems.length === 2 ? 'md:grid-cols-2' :
@@ -273,6 +816,7 @@ const ChatInterface = () => {
                                         </div>
                                         <div className="p-5 prose prose-invert prose-sm max-w-none flex-1">
                                             {renderMarkdown(comparison.sections[itemName])}
+                                            {renderVisualizeToggle(`${messageKey}:${itemName}`, comparison.sections[itemName])}
                                         </div>
                                     </div>
                                 ))}
@@ -281,6 +825,10 @@ const ChatInterface = () => {
                     ) : (
                         <div className="prose prose-invert prose-sm max-w-none leading-relaxed">
                             {renderMarkdown(message.content)}
+                            {renderVisualizeToggle(messageKey, message.content)}
+                            {isStreaming && (
+                                <span className="inline-block w-2 h-4 bg-blue-400 animate-pulse align-middle" />
+                            )}
                         </div>
                     )}
 
@@ -291,7 +839,7 @@ const ChatInterface = () => {
                         </div>
                     )}
 
-                    {message.metadata && (
+                    {message.metadata && !isStreaming && !message.metadata.cancelled && (
                         <>
                             <div className="mt-6 pt-4 border-t border-slate-700/30 flex justify-between items-center">
                                 <div className="flex items-center gap-4">
@@ -304,7 +852,7 @@ const ChatInterface = () => {
                                     <div className="h-6 w-px bg-slate-700/50 mx-2"></div>
                                     <div className="flex flex-col">
                                         <span className="text-[9px] uppercase tracking-tighter text-slate-500 font-bold">Model Path</span>
-                                        <span className="text-[10px] text-blue-400/70 font-mono tracking-tight">{responseLLMProvider}</span>
+                                        <span className="text-[10px] text-blue-400/70 font-mono tracking-tight">{message.metadata.responseProvider || responseLLMProvider}</span>
                                     </div>
                                     {message.metadata.timeMessage && (
                                         <>
@@ -318,59 +866,43 @@ const ChatInterface = () => {
                                 </div>
 
                                 <FeedbackButtons
-                                    query={messages[index - 1]?.content}
-                                    items={selectedItems}
-                                    categories={selectedCategories}
+                                    query={messages[turnStart(messages, index)]?.content}
+                                    items={message.metadata.items || selectedItems}
+                                    categories={message.metadata.categories || selectedCategories}
                                     mappingKeys={message.metadata.mappingKeys}
-                                    comparisonType={comparisonType}
-                                    onCorrection={(newKeys) => {
-                                        console.log("Applying correction with keys:", newKeys);
-
-                                        // Re-run the query with new keys
-                                        const originalQuery = messages[index - 1]?.content;
-
-                                        // Add a system message indicating correction
-                                        addMessage('assistant', '_Generating corrected response based on your feedback..._');
-
-                                        setLoading(true);
-
-                                        const requestData = {
-                                            query: originalQuery,
-                                            items: selectedItems,
-                                            categories: selectedCategories.map(cat => cat.toLowerCase()),
-                                            comparison_type: comparisonType,
-                                            mapping_llm_provider: mappingLLMProvider.toLowerCase().replace(' ', '_'),
-                                            response_llm_provider: responseLLMProvider.toLowerCase().replace(' ', '_'),
-                                            years: comparisonType.toLowerCase() === 'project' ? null : selectedYears,
-                                            forced_mapping_keys: newKeys
-                                        };
-
-                                        executeQuery(requestData)
-                                            .then(response => {
-                                                const data = response.data;
-                                                addMessage('assistant', data.response_text, {
-                                                    mappingKeys: data.mapping_keys,
-                                                    selectedColumns: data.selected_columns,
-                                                    columnsWithSources: data.columns_with_sources,
-                                                    inputTokens: data.input_tokens,
-                                                    outputTokens: data.output_tokens,
-                                                    cached: data.cached,
-                                                    timeMessage: data.estimated_time_message,
-                                                });
-                                            })
-                                            .catch(error => {
-                                                console.error('Correction error:', error);
-                                                addMessage('error', 'Failed to generate corrected response.');
-                                            })
-                                            .finally(() => {
-                                                setLoading(false);
-                                            });
-                                    }}
+                                    selectedColumns={message.metadata.selectedColumns}
+                                    comparisonType={message.metadata.comparisonType || comparisonType}
+                                    onCorrection={(newKeys) => setPendingCorrection({
+                                        messageId: message.id,
+                                        query: messages[turnStart(messages, index)]?.content,
+                                        originalKeys: message.metadata.mappingKeys || [],
+                                        proposedKeys: newKeys,
+                                    })}
                                 />
                             </div>
                         </>
                     )}
                 </div>
+
+                {!isStreaming && !message.metadata?.cancelled && (
+                    <MessageActions
+                        disabled={isConversationBusy}
+                        actions={[
+                            { label: 'Copy Markdown', title: 'Copy the answer as markdown', onClick: () => copyToClipboard(message.content, 'Markdown') },
+                            { label: 'Copy Text', title: 'Copy the answer as plain text', onClick: () => copyToClipboard(markdownToPlainText(message.content), 'Text') },
+                            {
+                                label: 'Regenerate',
+                                title: 'Answer again as a new version',
+                                items: LLM_PROVIDERS.map(provider => ({
+                                    label: provider === (message.metadata?.responseProvider || responseLLMProvider)
+                                        ? `Same provider (${provider})`
+                                        : `With ${provider}`,
+                                    onClick: () => handleRegenerate(index, provider),
+                                })),
+                            },
+                        ]}
+                    />
+                )}
             </div>
         );
     };
@@ -395,11 +927,48 @@ const ChatInterface = () => {
                     </div>
                 </div>
                 <div className="flex items-center gap-4" ref={menuRef}>
+                    {DEMO_MODE && (
+                        <span
+                            className="px-3 py-1.5 rounded-full border border-amber-500/40 bg-amber-500/10 text-[10px] font-black text-amber-300 uppercase tracking-widest"
+                            title="Responses come from local sample data, not the backend"
+                        >
+                            Demo Data
+                        </span>
+                    )}
                     <div className="hidden lg:flex items-center gap-2 bg-slate-800/50 border border-slate-700 rounded-full px-4 py-1.5">
                         <div className="w-2 h-2 rounded-full bg-emerald-500"></div>
                         <span className="text-[10px] font-bold text-slate-300 uppercase tracking-wider">{selectedItems.length} {comparisonType}s Active</span>
                     </div>
 
+                    <NotificationHistory />
+
+                    <button
+                        onClick={handleCopyLink}
+                        className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-slate-700 bg-slate-800/50 text-slate-300 hover:text-white hover:border-blue-500/40 transition-all text-xs font-bold uppercase tracking-wider"
+                        title="Copy a link that opens this configuration"
+                    >
+                        <span>🔗</span>
+                        <span>Copy Link</span>
+                    </button>
+
+                    <button
+                        onClick={() => setIsUsageOpen(true)}
+                        className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-slate-700 bg-slate-800/50 text-slate-300 hover:text-white hover:border-blue-500/40 transition-all text-xs font-bold uppercase tracking-wider"
+                        title="Token usage and estimated cost across sessions"
+                    >
+                        <span>📈</span>
+                        <span>Usage</span>
+                    </button>
+
+                    <button
+                        onClick={() => setIsInspectorOpen(true)}
+                        className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-slate-700 bg-slate-800/50 text-slate-300 hover:text-white hover:border-blue-500/40 transition-all text-xs font-bold uppercase tracking-wider"
+                        title="Run a query step by step through the planner, column and graph agents"
+                    >
+                        <span>🔍</span>
+                        <span>Inspect Pipeline</span>
+                    </button>
+
                     <div className="relative">
                         <button
                             onClick={() => setIsReportMenuOpen(!isReportMenuOpen)}
@@ -450,6 +1019,35 @@ const ChatInterface = () => {
                                         </div>
                                     </button>
                                 </div>
+                                <div className="px-2 pb-2">
+                                    <button
+                                        onClick={() => {
+                                            setIsReportMenuOpen(false);
+                                            setIsReportBuilderOpen(true);
+                                        }}
+                                        className="w-full text-left px-4 py-3 rounded-xl hover:bg-emerald-600/10 transition-all group flex items-start gap-3"
+                                    >
+                                        <div className="w-10 h-10 rounded-lg bg-emerald-600/20 flex items-center justify-center text-emerald-400 group-hover:bg-emerald-600 group-hover:text-white transition-all shrink-0">🛠️</div>
+                                        <div>
+                                            <div className="font-bold text-sm text-slate-200">Custom Report...</div>
+                                            <div className="text-[10px] text-slate-500 mt-1">Pick sections, messages, title & client.</div>
+                                        </div>
+                                    </button>
+                                </div>
+                                <div className="px-4 py-3 border-t border-slate-700/50">
+                                    <span className="text-[10px] font-black text-slate-500 uppercase tracking-[0.3em]">Export Chat</span>
+                                    <div className="grid grid-cols-3 gap-2 mt-2">
+                                        {[['markdown', 'Markdown'], ['json', 'JSON'], ['html', 'HTML']].map(([format, label]) => (
+                                            <button
+                                                key={format}
+                                                onClick={() => handleExportChat(format)}
+                                                className="px-2 py-2 rounded-lg border border-slate-700/50 text-[10px] font-bold uppercase tracking-wider text-slate-300 hover:bg-slate-800 hover:text-white transition-colors"
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
                                 <div className="p-2 border-t border-slate-700/50 bg-slate-950/30">
                                     <button
                                         onClick={handleDownloadBasicReport}
@@ -465,6 +1063,30 @@ const ChatInterface = () => {
                 </div>
             </div>
 
+            {isInspectorOpen && (
+                <PipelineInspector
+                    initialQuery={inputValue}
+                    onClose={() => setIsInspectorOpen(false)}
+                />
+            )}
+
+            {isUsageOpen && <UsageDashboard onClose={() => setIsUsageOpen(false)} />}
+            {isTemplatesOpen && (
+                <QueryTemplates
+                    initialText={inputValue}
+                    onInsert={handleInsertTemplate}
+                    onClose={() => setIsTemplatesOpen(false)}
+                />
+            )}
+
+            {isReportBuilderOpen && (
+                <ReportBuilder
+                    messages={messages}
+                    onGenerate={generateReport}
+                    onClose={() => setIsReportBuilderOpen(false)}
+                />
+            )}
+
             {/* Messages Area */}
             <div className="flex-1 overflow-y-auto p-8 space-y-8 custom-scrollbar relative z-10 scroll-smooth">
                 {messages.length === 0 && (
@@ -493,23 +1115,116 @@ const ChatInterface = () => {
                     </div>
                 )}
                 {messages.map((message, index) => (
-                    <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'} w-full`}>
+                    <div key={index} id={message.id && `message-${message.id}`} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'} w-full`}>
                         {message.role === 'user' ? (
-                            <div className="relative max-w-[70%] bg-blue-600 text-white rounded-2xl rounded-tr-sm px-6 py-4 shadow-xl shadow-blue-500/10 border border-blue-400/20 animate-in slide-in-from-right-4 duration-500">
-                                <p className="text-sm font-bold leading-relaxed whitespace-pre-wrap">{message.content}</p>
-                            </div>
+                            editingMessageId && editingMessageId === message.id ? (
+                                <div className="w-full max-w-[70%] bg-slate-900/80 border border-blue-500/40 rounded-2xl p-4 shadow-xl">
+                                    <textarea
+                                        value={editValue}
+                                        onChange={(e) => setEditValue(e.target.value)}
+                                        rows={3}
+                                        autoFocus
+                                        className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                    />
+                                    <div className="flex justify-end gap-2 mt-3">
+                                        <button
+                                            onClick={() => setEditingMessageId(null)}
+                                            className="px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                                        >
+                                            Cancel
+                                        </button>
+                                        <button
+                                            onClick={() => handleEditResend(index)}
+                                            disabled={!editValue.trim() || isConversationBusy}
+                                            className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                                        >
+                                            Save &amp; Resend
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <div className="flex flex-col items-end gap-1 max-w-[70%]">
+                                    <div className="relative bg-blue-600 text-white rounded-2xl rounded-tr-sm px-6 py-4 shadow-xl shadow-blue-500/10 border border-blue-400/20 animate-in slide-in-from-right-4 duration-500">
+                                        <p className="text-sm font-bold leading-relaxed whitespace-pre-wrap">{message.content}</p>
+                                    </div>
+                                    <MessageActions
+                                        align="end"
+                                        disabled={isConversationBusy}
+                                        branch={{ ...branchInfo(message), onSwitch: (target) => handleSwitchBranch(index, target) }}
+                                        actions={[
+                                            { label: 'Edit', title: 'Edit and resend as a new version', onClick: () => startEditing(message), disabled: !message.id },
+                                            { label: 'Copy', title: 'Copy the query', onClick: () => copyToClipboard(message.content, 'Query') },
+                                            ...(includeHistory ? [
+                                                {
+                                                    label: message.metadata?.context === CONTEXT_MODES.pinned ? 'Unpin' : 'Pin',
+                                                    title: 'Always send this turn as context for later queries',
+                                                    onClick: () => toggleContextMode(message, CONTEXT_MODES.pinned),
+                                                    disabled: !message.id,
+                                                },
+                                                {
+                                                    label: message.metadata?.context === CONTEXT_MODES.excluded ? 'Include' : 'Exclude',
+                                                    title: 'Never send this turn as context',
+                                                    onClick: () => toggleContextMode(message, CONTEXT_MODES.excluded),
+                                                    disabled: !message.id,
+                                                },
+                                            ] : []),
+                                            { label: 'Delete', title: 'Delete this question and its answer', onClick: () => handleDeleteTurn(index) },
+                                        ]}
+                                    />
+                                </div>
+                            )
                         ) : message.role === 'assistant' ? (
                             <AssistantMessage message={message} index={index} />
+                        ) : message.role === 'comparison' ? (
+                            <ProviderComparison results={message.metadata.results} />
+                        ) : message.metadata?.cancelled ? (
+                            <div className="bg-slate-800/40 text-slate-400 border border-slate-700/50 w-full max-w-lg mx-auto rounded-2xl px-6 py-3 text-center backdrop-blur-md">
+                                <div className="text-xs font-bold uppercase tracking-widest">⏹ {message.content}</div>
+                            </div>
                         ) : (
                             <div className="bg-red-500/10 text-red-400 border border-red-500/20 w-full max-w-lg mx-auto rounded-2xl p-6 text-center backdrop-blur-md">
                                 <div className="text-2xl mb-2">⚠️</div>
+                                {message.metadata?.errorTitle && (
+                                    <div className="text-[10px] font-black text-red-300 uppercase tracking-[0.2em] mb-1">{message.metadata.errorTitle}</div>
+                                )}
                                 <div className="text-sm font-black uppercase tracking-widest">{message.content}</div>
+                                {message.metadata?.retryRequest && (
+                                    <button
+                                        onClick={() => runQuery(message.metadata.retryRequest)}
+                                        disabled={loading}
+                                        className="mt-4 px-4 py-2 rounded-lg border border-red-500/40 text-xs font-bold uppercase tracking-wider text-red-300 hover:text-white hover:bg-red-500/20 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                                    >
+                                        Retry
+                                    </button>
+                                )}
                             </div>
                         )}
                     </div>
                 ))}
 
-                {loading && (
+                {pendingReview && (
+                    <div className="flex justify-start w-full">
+                        <MappingReview
+                            query={pendingReview.requestData.query}
+                            onApprove={handleReviewApproved}
+                            onCancel={handleReviewCancelled}
+                        />
+                    </div>
+                )}
+
+                {pendingCorrection && (
+                    <div className="flex justify-start w-full">
+                        <CorrectionReview
+                            originalKeys={pendingCorrection.originalKeys}
+                            proposedKeys={pendingCorrection.proposedKeys}
+                            onApprove={handleCorrectionApproved}
+                            onCancel={() => setPendingCorrection(null)}
+                            onShowOriginal={() => scrollToMessage(pendingCorrection.messageId)}
+                        />
+                    </div>
+                )}
+
+                {loading && !streamingMessageId && (
                     <div className="flex justify-start w-full animate-in fade-in duration-300">
                         <div className="bg-slate-900/80 backdrop-blur-xl transition-all text-slate-200 rounded-2xl rounded-tl-sm p-6 border border-blue-500/20 shadow-2xl flex flex-col gap-4 min-w-[300px]">
                             <div className="flex items-center gap-4">
@@ -549,25 +1264,85 @@ const ChatInterface = () => {
 
             {/* Input Area */}
             <div className="p-8 border-t border-slate-800 bg-slate-900/80 backdrop-blur-2xl shrink-0 relative z-50">
+                {relevanceWarning && (
+                    <div className="max-w-5xl mx-auto mb-4 flex items-start justify-between gap-4 bg-amber-500/10 border border-amber-500/30 rounded-xl px-5 py-3 animate-in fade-in duration-300">
+                        <div className="flex items-start gap-3">
+                            <span className="text-lg leading-none">⚠️</span>
+                            <div>
+                                <div className="text-xs font-bold text-amber-300 uppercase tracking-wider">This question may be outside PropGPT's data</div>
+                                <p className="text-xs text-amber-200/70 mt-1">
+                                    {relevanceWarning.reason || 'A full analysis takes about a minute and may not return a useful answer.'}
+                                </p>
+                            </div>
+                        </div>
+                        <div className="flex gap-2 shrink-0">
+                            <button
+                                type="button"
+                                onClick={handleRephrase}
+                                className="px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider text-amber-200 border border-amber-500/30 hover:bg-amber-500/20 transition-colors"
+                            >
+                                Rephrase
+                            </button>
+                            <button
+                                type="button"
+                                onClick={handleSendAnyway}
+                                className="px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider text-slate-900 bg-amber-400 hover:bg-amber-300 transition-colors"
+                            >
+                                Send Anyway
+                            </button>
+                        </div>
+                    </div>
+                )}
+                {includeHistory && messages.some(m => m.role === 'user') && (
+                    <ContextTurns
+                        turns={nextContextTurns}
+                        excludedCount={messages.filter(m => m.role === 'user' && m.metadata?.context === CONTEXT_MODES.excluded).length}
+                        onShow={(turn) => scrollToMessage(turn.message.id)}
+                        onExclude={(turn) => toggleContextMode(turn.message, CONTEXT_MODES.excluded)}
+                    />
+                )}
                 <form onSubmit={handleSubmit} className="relative max-w-5xl mx-auto group">
                     <div className="absolute inset-0 bg-blue-500/5 blur-xl group-focus-within:bg-blue-500/10 transition-colors rounded-full"></div>
                     <div className="relative flex items-center bg-slate-800/80 border-2 border-slate-700/50 rounded-2xl p-2 focus-within:border-blue-500/50 shadow-2xl transition-all duration-300">
                         <div className="pl-4 pr-2 text-xl opacity-50">💬</div>
                         <input
+                            ref={inputRef}
                             type="text"
                             value={inputValue}
-                            onChange={(e) => setInputValue(e.target.value)}
-                            placeholder={loading ? "Computing analysis..." : `Ask anything about the selected ${comparisonType}s...`}
-                            disabled={loading}
+                            onChange={(e) => {
+                                setInputValue(e.target.value);
+                                setRelevanceWarning(null);
+                            }}
+                            placeholder={loading ? "Computing analysis..." : pendingReview || pendingCorrection ? "Review the mapping keys above..." : `Ask anything about the selected ${comparisonType}s...`}
+                            disabled={loading || isCheckingRelevance || !!pendingReview || !!pendingCorrection}
                             className="flex-1 bg-transparent text-white border-none px-4 py-3 focus:ring-0 outline-none text-sm font-bold tracking-tight placeholder-slate-600 transition-all"
                         />
                         <button
-                            type="submit"
-                            disabled={loading || !inputValue.trim()}
-                            className="bg-gradient-to-tr from-blue-600 to-indigo-500 hover:from-blue-500 hover:to-indigo-400 text-white font-black px-8 py-3 rounded-xl transition-all disabled:opacity-30 disabled:grayscale disabled:scale-95 text-xs uppercase tracking-widest shadow-xl shadow-blue-500/20 active:scale-90"
+                            type="button"
+                            onClick={() => setIsTemplatesOpen(true)}
+                            disabled={loading || !!pendingReview || !!pendingCorrection}
+                            className="mr-2 px-3 py-3 rounded-xl text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                            title={inputValue.trim() ? 'Query templates - save the current query or insert one' : 'Query templates'}
                         >
-                            Execute
+                            📋 Templates
                         </button>
+                        {loading ? (
+                            <button
+                                type="button"
+                                onClick={handleStop}
+                                className="bg-red-600/80 hover:bg-red-500 text-white font-black px-8 py-3 rounded-xl transition-all text-xs uppercase tracking-widest shadow-xl shadow-red-500/20 active:scale-90"
+                            >
+                                Stop
+                            </button>
+                        ) : (
+                            <button
+                                type="submit"
+                                disabled={!inputValue.trim() || isCheckingRelevance || !!pendingReview || !!pendingCorrection}
+                                className="bg-gradient-to-tr from-blue-600 to-indigo-500 hover:from-blue-500 hover:to-indigo-400 text-white font-black px-8 py-3 rounded-xl transition-all disabled:opacity-30 disabled:grayscale disabled:scale-95 text-xs uppercase tracking-widest shadow-xl shadow-blue-500/20 active:scale-90"
+                            >
+                                {isCheckingRelevance ? 'Checking...' : 'Execute'}
+                            </button>
+                        )}
                     </div>
                     {selectedItems.length > 0 && (
                         <div className="mt-3 flex justify-center gap-3">
@@ -4,9 +4,24 @@
  * Updated with Tailwind CSS
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { getComparisonItems, getCacheStats, clearCache, getCategories } from '../api/endpoints';
+import { getCities, getComparisonItems, getCacheStats, clearCache, getCategories, getAvailableYears } from '../api/endpoints';
+import { errorMessage } from '../api/errors';
+import ProjectRecommendations from './ProjectRecommendations';
+import YearRangeSelector from './YearRangeSelector';
+import { MAX_SELECTED_ITEMS } from '../utils/selection';
+
+// Used when the backend can't report which years it has
+const FALLBACK_YEARS = [2020, 2021, 2022, 2023, 2024];
+
+// Compact "'21–'25" label for the years an item has data for
+const formatYearSpan = (years) => {
+    const short = (year) => `'${String(year).slice(-2)}`;
+    const first = Math.min(...years);
+    const last = Math.max(...years);
+    return first === last ? short(first) : `${short(first)}–${short(last)}`;
+};
 
 const Configuration = () => {
     const {
@@ -15,6 +30,7 @@ const Configuration = () => {
         selectedCity,
         setSelectedCity,
         availableCities,
+        setAvailableCities,
         selectedItems,
         setSelectedItems,
         selectedCategories,
@@ -25,41 +41,104 @@ const Configuration = () => {
         setMappingLLMProvider,
         responseLLMProvider,
         setResponseLLMProvider,
+        streamResponses,
+        setStreamResponses,
+        reviewMappingFirst,
+        setReviewMappingFirst,
+        includeHistory,
+        setIncludeHistory,
+        compareProviders,
+        setCompareProviders,
         cacheStats,
         setCacheStats,
         availableItems,
         setAvailableItems,
         clearChat,
         messages,
+        notify,
     } = useApp();
 
     const [loading, setLoading] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const [categories, setCategories] = useState([]);
+    const [availableYears, setAvailableYears] = useState([]);
+    const [itemYears, setItemYears] = useState({}); // item -> years it has data for
+
+    // Items and categories already fetched, keyed by `${city}|${comparisonType}`,
+    // so switching back to a city is instant
+    const itemsCacheRef = useRef(new Map());
+    const categoriesCacheRef = useRef(new Map());
+    const yearsCacheRef = useRef(new Map());
 
-    // Load items when comparison type changes
+    // Cities come from the backend; keep the current one if the request fails
     useEffect(() => {
-        setSelectedItems([]); // Clear selection when type changes
+        const loadCities = async () => {
+            try {
+                const response = await getCities();
+                const cities = (response.data.cities || [])
+                    .map(city => (typeof city === 'string' ? city : city.name))
+                    .filter(Boolean);
+                if (cities.length === 0) return;
+
+                setAvailableCities(cities);
+                // A restored session or share link may point at a city that's gone
+                if (!cities.includes(selectedCity)) {
+                    setSelectedCity(cities[0]);
+                    setSelectedItems([]);
+                }
+            } catch (error) {
+                console.error('Failed to load cities:', error);
+            }
+        };
+        loadCities();
+        // Only on mount - the list doesn't depend on the selection
+    }, []);
+
+    // Load items when the city or comparison type changes. The selection itself is cleared
+    // by the dropdown handlers so a reopened session can restore its own items.
+    useEffect(() => {
+        let active = true;
         setSearchTerm(''); // Clear search when type changes
+        const cacheKey = `${selectedCity}|${comparisonType}`;
+        const cached = itemsCacheRef.current.get(cacheKey);
+        if (cached) {
+            setAvailableItems(cached);
+            setLoading(false);
+            return;
+        }
+
         const loadItems = async () => {
             setLoading(true);
             try {
-                const response = await getComparisonItems(comparisonType);
-                setAvailableItems(response.data.items || []);
+                const response = await getComparisonItems(comparisonType, selectedCity);
+                const items = response.data.items || [];
+                itemsCacheRef.current.set(cacheKey, items);
+                if (active) setAvailableItems(items);
             } catch (error) {
                 console.error('Failed to load items:', error);
             } finally {
-                setLoading(false);
+                if (active) setLoading(false);
             }
         };
         loadItems();
-    }, [comparisonType, setAvailableItems, setSelectedItems]);
+        return () => {
+            active = false;
+        };
+    }, [selectedCity, comparisonType, setAvailableItems]);
 
-    // Load categories based on comparison type
+    // Load categories based on city and comparison type
     useEffect(() => {
+        let active = true;
+        const cacheKey = `${selectedCity}|${comparisonType}`;
+        const cached = categoriesCacheRef.current.get(cacheKey);
+        if (cached) {
+            setCategories(cached);
+            return;
+        }
+
         const loadCategories = async () => {
             try {
-                const response = await getCategories(comparisonType);
+                const response = await getCategories(comparisonType, selectedCity);
                 const fetchedCategories = response.data.categories || [];
 
                 // Capitalize first letter of each category for display
@@ -67,24 +146,82 @@ const Configuration = () => {
                     cat.charAt(0).toUpperCase() + cat.slice(1)
                 );
 
-                setCategories(formattedCategories);
+                categoriesCacheRef.current.set(cacheKey, formattedCategories);
+                if (active) setCategories(formattedCategories);
             } catch (error) {
                 console.error('Failed to load categories:', error);
-                // Fallback to default categories if API fails
-                setCategories(['All', 'Supply', 'Demand', 'Price', 'Demographics']);
+                // Fallback to default categories if API fails (not cached, so the next visit retries)
+                if (active) setCategories(['All', 'Supply', 'Demand', 'Price', 'Demographics']);
             }
         };
         loadCategories();
-    }, [comparisonType]); // Reload categories when comparison type changes
+        return () => {
+            active = false;
+        };
+    }, [selectedCity, comparisonType]); // Reload categories when city or comparison type changes
+
+    // Load the years with data for the city and comparison type (projects aren't filtered by year)
+    useEffect(() => {
+        if (comparisonType === 'Project') return;
+        let active = true;
+        const cacheKey = `${selectedCity}|${comparisonType}`;
+        const applyYears = ({ years, itemYears: coverage }) => {
+            setAvailableYears(years);
+            setItemYears(coverage);
+        };
+
+        const cached = yearsCacheRef.current.get(cacheKey);
+        if (cached) {
+            applyYears(cached);
+            return;
+        }
+
+        const loadYears = async () => {
+            setAvailableYears([]);
+            try {
+                const response = await getAvailableYears(comparisonType, selectedCity);
+                const years = (response.data.years || []).map(Number).sort((a, b) => a - b);
+                const result = { years, itemYears: response.data.item_years || {} };
+                if (years.length) yearsCacheRef.current.set(cacheKey, result);
+                if (active) applyYears(result.years.length ? result : { years: FALLBACK_YEARS, itemYears: {} });
+            } catch (error) {
+                console.error('Failed to load years:', error);
+                if (active) applyYears({ years: FALLBACK_YEARS, itemYears: {} });
+            }
+        };
+        loadYears();
+        return () => {
+            active = false;
+        };
+    }, [selectedCity, comparisonType]);
+
+    // Keep the selection a continuous range inside the available years; an empty or
+    // out-of-range selection (first load, older sessions) becomes every available year
+    useEffect(() => {
+        if (availableYears.length === 0) return;
+        const inRange = selectedYears.filter(year => availableYears.includes(year));
+        const normalized = inRange.length
+            ? availableYears.filter(year => year >= Math.min(...inRange) && year <= Math.max(...inRange))
+            : availableYears;
+        if (normalized.join(',') !== [...selectedYears].sort((a, b) => a - b).join(',')) {
+            setSelectedYears(normalized);
+        }
+    }, [availableYears, selectedYears, setSelectedYears]);
 
     const handleClearCache = async () => {
         try {
             await clearCache();
             const response = await getCacheStats();
             setCacheStats(response.data);
-            alert('Cache cleared successfully!');
+            notify({ level: 'success', message: 'Cache cleared successfully!' });
         } catch (error) {
             console.error('Failed to clear cache:', error);
+            notify({
+                level: 'error',
+                title: 'Clear cache failed',
+                message: errorMessage(error),
+                actions: [{ label: 'Retry', onClick: handleClearCache }],
+            });
         }
     };
 
@@ -114,9 +251,6 @@ const Configuration = () => {
                         <option key={city} value={city}>{city}</option>
                     ))}
                 </select>
-                <p className="mt-2 text-xs text-slate-500">
-                    💡 To add more cities, update the <code className="text-blue-400 bg-slate-800 px-1 rounded">availableCities</code> {/*array in AppContext.jsx*/}
-                </p>
             </div>
 
             {/* Comparison Type */}
@@ -146,7 +280,8 @@ const Configuration = () => {
                     <select
                         value={mappingLLMProvider}
                         onChange={(e) => setMappingLLMProvider(e.target.value)}
-                        className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 backdrop-blur-sm py-2 px-3 text-slate-200 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500 sm:text-sm"
+                        disabled={compareProviders}
+                        className="disabled:opacity-50 block w-full rounded-lg border border-slate-700 bg-slate-800/50 backdrop-blur-sm py-2 px-3 text-slate-200 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500 sm:text-sm"
                     >
                         <option value="OpenAI">OpenAI</option>
                         <option value="Google Gemini">Google Gemini</option>
@@ -157,12 +292,64 @@ const Configuration = () => {
                     <select
                         value={responseLLMProvider}
                         onChange={(e) => setResponseLLMProvider(e.target.value)}
-                        className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 backdrop-blur-sm py-2 px-3 text-slate-200 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500 sm:text-sm"
+                        disabled={compareProviders}
+                        className="disabled:opacity-50 block w-full rounded-lg border border-slate-700 bg-slate-800/50 backdrop-blur-sm py-2 px-3 text-slate-200 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500 sm:text-sm"
                     >
                         <option value="OpenAI">OpenAI</option>
                         <option value="Google Gemini">Google Gemini</option>
                     </select>
                 </div>
+                <div className="flex items-center">
+                    <input
+                        type="checkbox"
+                        id="stream-responses"
+                        checked={streamResponses}
+                        onChange={(e) => setStreamResponses(e.target.checked)}
+                        className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
+                    />
+                    <label htmlFor="stream-responses" className="ml-2 text-sm text-slate-300 cursor-pointer select-none">
+                        Stream responses
+                    </label>
+                </div>
+                <div className="flex items-center">
+                    <input
+                        type="checkbox"
+                        id="review-mapping-first"
+                        checked={reviewMappingFirst}
+                        onChange={(e) => setReviewMappingFirst(e.target.checked)}
+                        className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
+                    />
+                    <label htmlFor="review-mapping-first" className="ml-2 text-sm text-slate-300 cursor-pointer select-none">
+                        Review mapping keys first
+                    </label>
+                </div>
+                <div className="flex items-center">
+                    <input
+                        type="checkbox"
+                        id="include-history"
+                        checked={includeHistory}
+                        onChange={(e) => setIncludeHistory(e.target.checked)}
+                        className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
+                    />
+                    <label htmlFor="include-history" className="ml-2 text-sm text-slate-300 cursor-pointer select-none">
+                        Send earlier turns as context
+                    </label>
+                </div>
+                <div className="flex items-center">
+                    <input
+                        type="checkbox"
+                        id="compare-providers"
+                        checked={compareProviders}
+                        onChange={(e) => setCompareProviders(e.target.checked)}
+                        className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
+                    />
+                    <label htmlFor="compare-providers" className="ml-2 text-sm text-slate-300 cursor-pointer select-none">
+                        Compare providers side by side
+                    </label>
+                </div>
+                {compareProviders && (
+                    <p className="text-xs text-slate-500">Each query runs once per provider (mapping and response) in parallel.</p>
+                )}
             </div>
 
             {/* Items Selection */}
@@ -214,21 +401,26 @@ const Configuration = () => {
                                         checked={selectedItems.includes(item)}
                                         onChange={(e) => {
                                             if (e.target.checked) {
-                                                if (selectedItems.length < 5) {
+                                                if (selectedItems.length < MAX_SELECTED_ITEMS) {
                                                     setSelectedItems([...selectedItems, item]);
                                                 } else {
-                                                    alert('Maximum 5 items can be selected');
+                                                    notify({ level: 'warning', message: `Maximum ${MAX_SELECTED_ITEMS} items can be selected` });
                                                 }
                                             } else {
                                                 setSelectedItems(selectedItems.filter(i => i !== item));
                                             }
                                         }}
-                                        disabled={!selectedItems.includes(item) && selectedItems.length >= 5}
+                                        disabled={!selectedItems.includes(item) && selectedItems.length >= MAX_SELECTED_ITEMS}
                                         className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
                                     />
                                     <label htmlFor={`item-${item}`} className="ml-2 block text-sm text-slate-300 truncate cursor-pointer select-none grow">
                                         {item}
                                     </label>
+                                    {comparisonType !== 'Project' && itemYears[item]?.length > 0 && (
+                                        <span className="ml-2 shrink-0 text-[10px] font-mono text-slate-500" title={`Data for ${itemYears[item].join(', ')}`}>
+                                            {formatYearSpan(itemYears[item])}
+                                        </span>
+                                    )}
                                 </div>
                             ))}
                         {availableItems.filter(item => item.toLowerCase().includes(searchTerm.toLowerCase())).length === 0 && (
@@ -237,10 +429,13 @@ const Configuration = () => {
                     </div>
                 )}
                 <div className="mt-2 text-right">
-                    <span className="text-xs text-slate-500">{selectedItems.length} / 5 selected</span>
+                    <span className="text-xs text-slate-500">{selectedItems.length} / {MAX_SELECTED_ITEMS} selected</span>
                 </div>
             </div>
 
+            {/* Project Recommendations */}
+            {comparisonType === 'Project' && <ProjectRecommendations />}
+
             {/* Categories */}
             <div className="p-6 border-b border-slate-800/50">
                 <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-3">Analysis Categories</label>
@@ -272,28 +467,13 @@ const Configuration = () => {
             {comparisonType.toLowerCase() !== 'project' && (
                 <div className="p-6 border-b border-slate-800/50">
                     <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-3">Select Years</label>
-                    <div className="grid grid-cols-2 gap-2">
-                        {[2020, 2021, 2022, 2023, 2024].map(year => (
-                            <div key={year} className="flex items-center">
-                                <input
-                                    type="checkbox"
-                                    id={`year-${year}`}
-                                    checked={selectedYears.includes(year)}
-                                    onChange={(e) => {
-                                        if (e.target.checked) {
-                                            setSelectedYears([...selectedYears, year]);
-                                        } else {
-                                            setSelectedYears(selectedYears.filter(y => y !== year));
-                                        }
-                                    }}
-                                    className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
-                                />
-                                <label htmlFor={`year-${year}`} className="ml-2 text-sm text-slate-300 cursor-pointer select-none">
-                                    {year}
-                                </label>
-                            </div>
-                        ))}
-                    </div>
+                    <YearRangeSelector
+                        availableYears={availableYears}
+                        selectedYears={selectedYears}
+                        onChange={setSelectedYears}
+                        itemYears={itemYears}
+                        selectedItems={selectedItems}
+                    />
                 </div>
             )}
 
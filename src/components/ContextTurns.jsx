@@ -0,0 +1,49 @@
+/**
+ * ContextTurns Component
+ * Strip above the composer listing the earlier turns that will be sent with the next
+ * query. Clicking a turn scrolls to it; ✕ excludes it from the context.
+ */
+
+import React from 'react';
+import { MAX_RECENT_TURNS } from '../utils/conversationContext';
+
+const MAX_LABEL_LENGTH = 40;
+
+const shorten = (text) => (text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text);
+
+const ContextTurns = ({ turns, excludedCount, onShow, onExclude }) => (
+    <div className="max-w-5xl mx-auto mb-2 flex flex-wrap items-center gap-1.5 text-[10px]">
+        <span
+            className="font-bold text-slate-500 uppercase tracking-wider mr-1"
+            title={`The last ${MAX_RECENT_TURNS} turns plus pinned ones are sent with the query`}
+        >
+            In context
+        </span>
+        {turns.length === 0 && <span className="text-slate-600 italic">No earlier turns</span>}
+        {turns.map(turn => (
+            <span
+                key={turn.message.id || turn.index}
+                className={`inline-flex items-center rounded-full border px-2 py-0.5 ${turn.pinned
+                    ? 'border-amber-500/40 bg-amber-500/10 text-amber-300'
+                    : 'border-slate-700 bg-slate-800/60 text-slate-300'
+                    }`}
+            >
+                <button onClick={() => onShow(turn)} className="hover:text-white transition-colors" title={turn.message.content}>
+                    {turn.pinned && '📌 '}{shorten(turn.message.content)}
+                </button>
+                <button
+                    onClick={() => onExclude(turn)}
+                    className="ml-1.5 text-slate-500 hover:text-red-300 transition-colors"
+                    title="Exclude from context"
+                >
+                    ✕
+                </button>
+            </span>
+        ))}
+        {excludedCount > 0 && (
+            <span className="text-slate-600">· {excludedCount} excluded</span>
+        )}
+    </div>
+);
+
+export default ContextTurns;
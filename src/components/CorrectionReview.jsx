@@ -0,0 +1,143 @@
+/**
+ * CorrectionReview Component
+ * Shows the mapping keys the correction agent proposed after a thumbs-down against the
+ * keys the answer used (added, removed, kept) with the columns each set implies.
+ * The keys can be edited before the corrected answer is generated with them.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { loadMappings } from '../api/endpoints';
+import { extractMappings, columnsForKeys } from '../utils/mappings';
+import MappingKeyEditor from './MappingKeyEditor';
+
+const DIFF_STYLES = {
+    added: { sign: '+', className: 'bg-emerald-500/10 border-emerald-500/30 text-emerald-300' },
+    removed: { sign: '−', className: 'bg-red-500/10 border-red-500/30 text-red-300 line-through' },
+    kept: { sign: '=', className: 'bg-slate-800/60 border-slate-700 text-slate-300' },
+};
+
+const diffSets = (before, after) => ({
+    added: after.filter(value => !before.includes(value)),
+    removed: before.filter(value => !after.includes(value)),
+    kept: after.filter(value => before.includes(value)),
+});
+
+const DiffChips = ({ label, diff, emptyText }) => {
+    const entries = Object.keys(DIFF_STYLES).flatMap(kind => diff[kind].map(value => ({ kind, value })));
+
+    return (
+        <div>
+            <div className="flex items-center gap-3 mb-2">
+                <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">{label}</span>
+                <span className="text-[10px] font-mono text-slate-500">
+                    +{diff.added.length} / −{diff.removed.length} / ={diff.kept.length}
+                </span>
+            </div>
+            {entries.length === 0 ? (
+                <span className="text-xs text-slate-500 italic">{emptyText}</span>
+            ) : (
+                <div className="flex flex-wrap gap-1.5">
+                    {entries.map(({ kind, value }) => (
+                        <span key={`${kind}:${value}`} className={`text-[10px] font-mono px-2 py-0.5 rounded border ${DIFF_STYLES[kind].className}`}>
+                            {DIFF_STYLES[kind].sign} {value}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const CorrectionReview = ({ originalKeys = [], proposedKeys, onApprove, onCancel, onShowOriginal }) => {
+    const { comparisonType } = useApp();
+
+    const [mappings, setMappings] = useState({});
+    const [keys, setKeys] = useState(proposedKeys);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        let active = true;
+
+        // Columns are a nice-to-have here; without them the key diff still works
+        loadMappings(comparisonType)
+            .then(response => {
+                if (active) setMappings(extractMappings(response.data));
+            })
+            .catch(error => console.error('Error loading mappings:', error))
+            .finally(() => {
+                if (active) setIsLoading(false);
+            });
+
+        return () => {
+            active = false;
+        };
+    }, [comparisonType]);
+
+    const isModified = keys.length !== proposedKeys.length || keys.some(k => !proposedKeys.includes(k));
+    const hasColumns = Object.values(mappings).some(columns => columns.length > 0);
+
+    return (
+        <div className="w-full max-w-3xl bg-slate-900/80 backdrop-blur-xl border border-amber-500/30 rounded-2xl p-6 shadow-2xl animate-in fade-in duration-300">
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <span className="text-[10px] font-black text-amber-400 uppercase tracking-[0.2em]">Review Correction</span>
+                    <p className="text-xs text-slate-400 mt-1">
+                        The correction agent proposed new mapping keys for{' '}
+                        <button onClick={onShowOriginal} className="text-amber-300 hover:text-amber-200 underline underline-offset-2">
+                            the rejected answer
+                        </button>
+                        . Edit them if needed, then generate the corrected answer.
+                    </p>
+                </div>
+                {isModified && (
+                    <button
+                        onClick={() => setKeys(proposedKeys)}
+                        className="text-[10px] font-bold text-slate-500 hover:text-slate-300 uppercase tracking-wider transition-colors"
+                    >
+                        Reset
+                    </button>
+                )}
+            </div>
+
+            <div className="space-y-5">
+                <DiffChips label="Mapping keys" diff={diffSets(originalKeys, keys)} emptyText="No keys selected" />
+
+                {isLoading ? (
+                    <div className="flex items-center gap-3 text-xs text-slate-400">
+                        <div className="w-3 h-3 border-2 border-amber-400/30 border-t-amber-400 rounded-full animate-spin"></div>
+                        <span>Loading columns...</span>
+                    </div>
+                ) : hasColumns && (
+                    <DiffChips
+                        label="Implied columns"
+                        diff={diffSets(columnsForKeys(mappings, originalKeys), columnsForKeys(mappings, keys))}
+                        emptyText="No columns mapped to these keys"
+                    />
+                )}
+
+                <div className="pt-4 border-t border-slate-700/50">
+                    <MappingKeyEditor keys={keys} onChange={setKeys} candidateKeys={Object.keys(mappings)} disabled={isLoading} />
+                </div>
+            </div>
+
+            <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-slate-700/50">
+                <button
+                    onClick={onCancel}
+                    className="px-4 py-2 rounded-lg text-xs font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                >
+                    Discard
+                </button>
+                <button
+                    onClick={() => onApprove(keys)}
+                    disabled={keys.length === 0}
+                    className="px-5 py-2 rounded-lg bg-amber-600 hover:bg-amber-500 text-white text-xs font-bold uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                    Approve &amp; Re-run
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CorrectionReview;
@@ -0,0 +1,77 @@
+/**
+ * ExportableTable Component
+ * Markdown table renderer with "Copy as CSV" and "Download .xlsx" actions.
+ * Used as the `table` override for ReactMarkdown; `source` is the markdown being rendered.
+ */
+
+import React, { useState } from 'react';
+import { parseMarkdownTables } from '../utils/markdownTable';
+import { tableToCSV, tableToXlsxBlob } from '../utils/tableExport';
+import { downloadBlob, slugify } from '../utils/download';
+
+// The table this element was rendered from: the last one parsed up to the node's end
+// offset, which also gives it the nearest heading above it as a title
+const findSourceTable = (source, node) => {
+    const end = node?.position?.end?.offset;
+    if (!source || end === undefined) return null;
+    const tables = parseMarkdownTables(source.slice(0, end));
+    return tables[tables.length - 1] || null;
+};
+
+const ExportableTable = ({ source, node, children, ...props }) => {
+    const [status, setStatus] = useState(null);
+
+    const flashStatus = (message) => {
+        setStatus(message);
+        setTimeout(() => setStatus(null), 2000);
+    };
+
+    const handleCopyCsv = async () => {
+        const table = findSourceTable(source, node);
+        if (!table) return;
+        try {
+            await navigator.clipboard.writeText(tableToCSV(table));
+            flashStatus('Copied');
+        } catch (error) {
+            console.error('Copy CSV error:', error);
+            flashStatus('Copy failed');
+        }
+    };
+
+    const handleDownloadXlsx = async () => {
+        const table = findSourceTable(source, node);
+        if (!table) return;
+        try {
+            const blob = await tableToXlsxBlob(table);
+            downloadBlob(blob, `propgpt_${slugify(table.title, 'table')}.xlsx`);
+        } catch (error) {
+            console.error('Excel export error:', error);
+            flashStatus('Export failed');
+        }
+    };
+
+    return (
+        <div className="not-prose my-4">
+            <div className="flex items-center justify-end gap-2 mb-1">
+                {status && <span className="text-[10px] text-slate-400">{status}</span>}
+                <button
+                    onClick={handleCopyCsv}
+                    className="px-2 py-1 rounded border border-slate-700/50 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                >
+                    Copy as CSV
+                </button>
+                <button
+                    onClick={handleDownloadXlsx}
+                    className="px-2 py-1 rounded border border-slate-700/50 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                >
+                    Download .xlsx
+                </button>
+            </div>
+            <div className="overflow-x-auto custom-scrollbar prose prose-invert prose-sm max-w-none">
+                <table {...props}>{children}</table>
+            </div>
+        </div>
+    );
+};
+
+export default ExportableTable;
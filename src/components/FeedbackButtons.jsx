@@ -5,13 +5,19 @@
  */
 
 import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
 import { submitFeedback } from '../api/endpoints';
+import { errorMessage } from '../api/errors';
+import FeedbackDialog from './FeedbackDialog';
 
-const FeedbackButtons = ({ query, items, categories, mappingKeys, comparisonType, onCorrection }) => {
+const FeedbackButtons = ({ query, items, categories, mappingKeys, selectedColumns, comparisonType, onCorrection }) => {
     const [feedback, setFeedback] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [isDialogOpen, setIsDialogOpen] = useState(false);
+    const { notify } = useApp();
 
-    const handleFeedback = async (type) => {
+    // details: thumbs-down reasons, comment and the keys/columns marked wrong
+    const handleFeedback = async (type, details = {}) => {
         setLoading(true);
         try {
             const response = await submitFeedback({
@@ -21,12 +27,19 @@ const FeedbackButtons = ({ query, items, categories, mappingKeys, comparisonType
                 old_mapping_keys: mappingKeys,
                 comparison_type: comparisonType,
                 feedback_type: type,
+                ...(type === 'down' && {
+                    reasons: details.reasons || [],
+                    comment: details.comment || '',
+                    rejected_mapping_keys: details.rejectedMappingKeys || [],
+                    rejected_columns: details.rejectedColumns || [],
+                }),
             });
 
             setFeedback(type);
+            setIsDialogOpen(false);
 
             if (type === 'up') {
-                alert('Thank you for your feedback!');
+                notify({ level: 'success', message: 'Thank you for your feedback!' });
             } else {
                 const data = response.data;
                 if (data.new_mapping_keys && onCorrection) {
@@ -34,12 +47,17 @@ const FeedbackButtons = ({ query, items, categories, mappingKeys, comparisonType
                     onCorrection(data.new_mapping_keys);
                 } else if (data.new_mapping_keys) {
                     // Fallback if no callback provided
-                    alert(`New mapping keys proposed: ${data.new_mapping_keys.join(', ')}`);
+                    notify({ level: 'info', title: 'New mapping keys proposed', message: data.new_mapping_keys.join(', ') });
                 }
             }
         } catch (error) {
             console.error('Feedback error:', error);
-            alert('Failed to submit feedback');
+            notify({
+                level: 'error',
+                title: 'Failed to submit feedback',
+                message: errorMessage(error),
+                actions: [{ label: 'Retry', onClick: () => handleFeedback(type, details) }],
+            });
         } finally {
             setLoading(false);
         }
@@ -66,7 +84,7 @@ const FeedbackButtons = ({ query, items, categories, mappingKeys, comparisonType
                     👍
                 </button>
                 <button
-                    onClick={() => handleFeedback('down')}
+                    onClick={() => setIsDialogOpen(true)}
                     disabled={loading}
                     className="p-1.5 rounded-md hover:bg-slate-700/70 text-slate-400 hover:text-red-400 transition-colors focus:outline-none focus:ring-2 focus:ring-red-400/50"
                     title="Inaccurate or wrong mapping"
@@ -74,6 +92,16 @@ const FeedbackButtons = ({ query, items, categories, mappingKeys, comparisonType
                     👎
                 </button>
             </div>
+
+            {isDialogOpen && (
+                <FeedbackDialog
+                    mappingKeys={mappingKeys || []}
+                    columns={selectedColumns || []}
+                    isSubmitting={loading}
+                    onSubmit={(details) => handleFeedback('down', details)}
+                    onCancel={() => setIsDialogOpen(false)}
+                />
+            )}
         </div>
     );
 };
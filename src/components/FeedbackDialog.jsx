@@ -0,0 +1,140 @@
+/**
+ * FeedbackDialog Component
+ * Thumbs-down details: what went wrong, a comment, and which mapping keys or
+ * columns were wrong, so the correction agent gets a precise signal
+ */
+
+import React, { useState } from 'react';
+
+export const FEEDBACK_REASONS = [
+    { id: 'wrong_columns', label: 'Wrong columns' },
+    { id: 'wrong_numbers', label: 'Wrong numbers' },
+    { id: 'missing_item', label: 'Missing item' },
+    { id: 'hallucination', label: 'Hallucination' },
+    { id: 'formatting', label: 'Formatting' },
+];
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Chips that turn red when marked wrong
+const RejectableChips = ({ label, values, rejected, onToggle }) => (
+    <div>
+        <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">{label}</label>
+        <div className="flex flex-wrap gap-1.5">
+            {values.map(value => {
+                const isRejected = rejected.includes(value);
+                return (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => onToggle(value)}
+                        className={`text-[10px] font-mono px-2 py-1 rounded border transition-colors ${isRejected
+                            ? 'border-red-500/50 bg-red-500/15 text-red-300 line-through'
+                            : 'border-slate-700 bg-slate-800/50 text-slate-300 hover:border-red-500/40'
+                            }`}
+                        title={isRejected ? 'Marked as wrong - click to undo' : 'Mark as wrong'}
+                    >
+                        {value}
+                    </button>
+                );
+            })}
+        </div>
+    </div>
+);
+
+const FeedbackDialog = ({ mappingKeys = [], columns = [], isSubmitting, onSubmit, onCancel }) => {
+    const [reasons, setReasons] = useState([]);
+    const [comment, setComment] = useState('');
+    const [rejectedKeys, setRejectedKeys] = useState([]);
+    const [rejectedColumns, setRejectedColumns] = useState([]);
+
+    const hasDetails = reasons.length > 0 || comment.trim() || rejectedKeys.length > 0 || rejectedColumns.length > 0;
+
+    const handleSubmit = () => {
+        onSubmit({
+            reasons,
+            comment: comment.trim(),
+            rejectedMappingKeys: rejectedKeys,
+            rejectedColumns,
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-slate-950/70 backdrop-blur-sm p-6">
+            <div className="w-full max-w-xl max-h-full flex flex-col bg-slate-900 border border-slate-700/50 rounded-2xl shadow-2xl overflow-hidden">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-slate-700/50 bg-slate-800/50">
+                    <h2 className="text-sm font-black text-white uppercase tracking-widest">What went wrong?</h2>
+                    <button onClick={onCancel} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors">✕</button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto custom-scrollbar p-6 space-y-5">
+                    <div>
+                        <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Reasons</label>
+                        <div className="flex flex-wrap gap-2">
+                            {FEEDBACK_REASONS.map(reason => (
+                                <button
+                                    key={reason.id}
+                                    type="button"
+                                    onClick={() => setReasons(toggle(reasons, reason.id))}
+                                    className={`text-xs font-bold px-3 py-1.5 rounded-full border transition-colors ${reasons.includes(reason.id)
+                                        ? 'border-red-500/50 bg-red-500/20 text-red-300'
+                                        : 'border-slate-700 text-slate-400 hover:text-white hover:bg-slate-700/50'
+                                        }`}
+                                >
+                                    {reason.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {mappingKeys.length > 0 && (
+                        <RejectableChips
+                            label="Wrong mapping keys"
+                            values={mappingKeys}
+                            rejected={rejectedKeys}
+                            onToggle={(key) => setRejectedKeys(toggle(rejectedKeys, key))}
+                        />
+                    )}
+
+                    {columns.length > 0 && (
+                        <RejectableChips
+                            label="Wrong columns"
+                            values={columns}
+                            rejected={rejectedColumns}
+                            onToggle={(column) => setRejectedColumns(toggle(rejectedColumns, column))}
+                        />
+                    )}
+
+                    <div>
+                        <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Comment</label>
+                        <textarea
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                            rows={3}
+                            placeholder="Optional - e.g. which figure is wrong or what was expected"
+                            className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 placeholder-slate-600 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                        />
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-3 px-6 py-4 border-t border-slate-700/50 bg-slate-800/30">
+                    <button
+                        onClick={onCancel}
+                        className="px-4 py-2 rounded-lg text-xs font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSubmit}
+                        disabled={isSubmitting}
+                        className="px-5 py-2 rounded-lg bg-red-600 hover:bg-red-500 text-white text-xs font-bold uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                        {isSubmitting ? 'Sending...' : hasDetails ? 'Send Feedback' : 'Send Without Details'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FeedbackDialog;
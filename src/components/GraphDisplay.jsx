@@ -13,6 +13,7 @@ import {
     RadialLinearScale,
 } from 'chart.js';
 import { Bar, Line, Pie, Doughnut, Scatter } from 'react-chartjs-2';
+import { parseMarkdownTables } from '../utils/markdownTable';
 
 ChartJS.register(
     CategoryScale,
@@ -41,93 +42,13 @@ const chartColors = [
     'rgba(210, 99, 132, 0.7)',
 ];
 
-const GraphDisplay = ({ content }) => {
-    // Function to parse markdown tables
-    const parseMarkdownTable = (md) => {
-        if (!md) {
-            console.log('[GraphDisplay] No content provided');
-            return null;
-        }
-
-        const lines = md.split('\n');
-        let tableStart = -1;
-        let tableEnd = -1;
-
-        // Simple detection of table: looks for | ... | ... | structure
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim().startsWith('|') && lines[i].trim().endsWith('|')) {
-                if (tableStart === -1) tableStart = i;
-                tableEnd = i;
-            } else if (tableStart !== -1) {
-                // Table broken
-                break;
-            }
-        }
-
-        if (tableStart === -1) {
-            console.log('[GraphDisplay] No table found in content');
-            return null;
-        }
-
-        const tableLines = lines.slice(tableStart, tableEnd + 1);
-        console.log('[GraphDisplay] Found table with', tableLines.length, 'lines');
-
-        // At least header and divider
-        if (tableLines.length < 3) {
-            console.log('[GraphDisplay] Table too short');
-            return null;
-        }
-
-        // Find the divider line (contains --- or :--: or --:)
-        let dividerIndex = -1;
-        for (let i = 0; i < Math.min(3, tableLines.length); i++) {
-            if (tableLines[i].includes('---') || tableLines[i].includes(':--')) {
-                dividerIndex = i;
-                break;
-            }
-        }
-
-        if (dividerIndex === -1) {
-            console.log('[GraphDisplay] No divider found');
-            return null;
-        }
-
-        // Extract headers (all lines before divider)
-        const headerLines = tableLines.slice(0, dividerIndex);
-        const headers = headerLines[headerLines.length - 1]
-            .split('|')
-            .filter(c => c.trim())
-            .map(c => c.trim());
-
-        console.log('[GraphDisplay] Headers:', headers);
-
-        // Extract data (all lines after divider)
-        const data = [];
-        for (let i = dividerIndex + 1; i < tableLines.length; i++) {
-            const row = tableLines[i].split('|').filter(c => c.trim()).map(c => c.trim());
-            if (row.length === headers.length) {
-                data.push(row);
-            }
-        }
-
-        console.log('[GraphDisplay] Parsed', data.length, 'data rows');
-        return { headers, data };
-    };
-
-    // Check if a value is a range (e.g., "0-10", "10-20")
-    const isRange = (value) => {
-        return /^\d+\s*-\s*\d+$/.test(value);
-    };
-
-    const tableData = useMemo(() => parseMarkdownTable(content), [content]);
-
-    if (!tableData || tableData.data.length === 0) {
-        console.log('[GraphDisplay] No valid table data to display');
-        return null;
-    }
-
-    console.log('[GraphDisplay] Rendering graphs for table data');
+// Check if a value is a range (e.g., "0-10", "10-20")
+const isRange = (value) => {
+    return /^\d+\s*-\s*\d+$/.test(value);
+};
 
+// Build the chart configs for a single parsed table
+const buildCharts = (tableData) => {
     // Process data for charts
     const labels = tableData.data.map(row => row[0]);
     const datasets = [];
@@ -147,9 +68,7 @@ const GraphDisplay = ({ content }) => {
         }
     }
 
-    if (datasets.length === 0) return null;
-
-    console.log('[GraphDisplay] Data type:', hasRangeLabels ? 'Range-based' : 'Continuous');
+    if (datasets.length === 0) return [];
 
     // Generate chart data configs
     const charts = [];
@@ -265,75 +184,100 @@ const GraphDisplay = ({ content }) => {
         }
     }
 
-    const options = {
-        responsive: true,
-        maintainAspectRatio: true,
-        plugins: {
-            legend: {
-                position: 'top',
-                labels: {
-                    color: '#94a3b8' // text-slate-400
-                }
-            },
-            title: {
-                display: false,
+    return charts.slice(0, 4);
+};
+
+const options = {
+    responsive: true,
+    maintainAspectRatio: true,
+    plugins: {
+        legend: {
+            position: 'top',
+            labels: {
+                color: '#94a3b8' // text-slate-400
             }
         },
-        scales: {
-            y: {
-                ticks: { color: '#94a3b8' },
-                grid: { color: '#334155' } // slate-700
-            },
-            x: {
-                ticks: { color: '#94a3b8' },
-                grid: { color: '#334155' }
-            }
+        title: {
+            display: false,
+        }
+    },
+    scales: {
+        y: {
+            ticks: { color: '#94a3b8' },
+            grid: { color: '#334155' } // slate-700
+        },
+        x: {
+            ticks: { color: '#94a3b8' },
+            grid: { color: '#334155' }
         }
-    };
+    }
+};
 
-    const scatterOptions = {
-        responsive: true,
-        maintainAspectRatio: true,
-        plugins: {
-            legend: {
-                position: 'top',
-                labels: { color: '#94a3b8' }
-            }
+const scatterOptions = {
+    responsive: true,
+    maintainAspectRatio: true,
+    plugins: {
+        legend: {
+            position: 'top',
+            labels: { color: '#94a3b8' }
+        }
+    },
+    scales: {
+        y: {
+            ticks: { color: '#94a3b8' },
+            grid: { color: '#334155' }
         },
-        scales: {
-            y: {
-                ticks: { color: '#94a3b8' },
-                grid: { color: '#334155' }
-            },
-            x: {
-                ticks: { color: '#94a3b8' },
-                grid: { color: '#334155' }
-            }
+        x: {
+            ticks: { color: '#94a3b8' },
+            grid: { color: '#334155' }
         }
-    };
+    }
+};
 
-    const pieOptions = {
-        responsive: true,
-        maintainAspectRatio: true,
-        plugins: {
-            legend: {
-                position: 'right',
-                labels: { color: '#94a3b8' }
-            }
+const pieOptions = {
+    responsive: true,
+    maintainAspectRatio: true,
+    plugins: {
+        legend: {
+            position: 'right',
+            labels: { color: '#94a3b8' }
         }
-    };
+    }
+};
+
+const GraphDisplay = ({ content }) => {
+    // One chart group per table, titled with the heading above it
+    const groups = useMemo(() =>
+        parseMarkdownTables(content)
+            .map(table => ({ title: table.title, charts: buildCharts(table) }))
+            .filter(group => group.charts.length > 0),
+        [content]
+    );
+
+    if (groups.length === 0) return null;
 
     return (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
-            {charts.slice(0, 4).map((chart, index) => (
-                <div key={index} className="bg-slate-800/50 border border-slate-700/50 rounded-xl p-4 shadow-sm backdrop-blur-sm">
-                    <h4 className="text-sm font-semibold text-slate-300 mb-4 text-center">{chart.title}</h4>
-                    <div className="relative w-full aspect-[4/3]">
-                        {chart.type === 'bar' && <Bar data={chart.data} options={options} />}
-                        {chart.type === 'line' && <Line data={chart.data} options={options} />}
-                        {chart.type === 'scatter' && <Scatter data={chart.data} options={scatterOptions} />}
-                        {chart.type === 'pie' && <Pie data={chart.data} options={pieOptions} />}
-                        {chart.type === 'doughnut' && <Doughnut data={chart.data} options={pieOptions} />}
+        <div className="space-y-8 mt-6">
+            {groups.map((group, groupIndex) => (
+                <div key={groupIndex}>
+                    {groups.length > 1 && (
+                        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-3 pb-2 border-b border-slate-700/50">
+                            {group.title}
+                        </h3>
+                    )}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {group.charts.map((chart, index) => (
+                            <div key={index} className="bg-slate-800/50 border border-slate-700/50 rounded-xl p-4 shadow-sm backdrop-blur-sm">
+                                <h4 className="text-sm font-semibold text-slate-300 mb-4 text-center">{chart.title}</h4>
+                                <div className="relative w-full aspect-[4/3]">
+                                    {chart.type === 'bar' && <Bar data={chart.data} options={options} />}
+                                    {chart.type === 'line' && <Line data={chart.data} options={options} />}
+                                    {chart.type === 'scatter' && <Scatter data={chart.data} options={scatterOptions} />}
+                                    {chart.type === 'pie' && <Pie data={chart.data} options={pieOptions} />}
+                                    {chart.type === 'doughnut' && <Doughnut data={chart.data} options={pieOptions} />}
+                                </div>
+                            </div>
+                        ))}
                     </div>
                 </div>
             ))}
@@ -0,0 +1,75 @@
+/**
+ * MappingKeyEditor Component
+ * Editable chip list of mapping keys with a searchable picker over the candidate keys
+ */
+
+import React, { useState } from 'react';
+
+const MAX_SUGGESTIONS = 8;
+
+const MappingKeyEditor = ({ keys, onChange, candidateKeys = [], disabled = false }) => {
+    const [searchTerm, setSearchTerm] = useState('');
+
+    const suggestions = candidateKeys
+        .filter(key => !keys.includes(key))
+        .filter(key => key.toLowerCase().includes(searchTerm.toLowerCase()))
+        .slice(0, MAX_SUGGESTIONS);
+
+    const addKey = (key) => {
+        onChange([...keys, key]);
+        setSearchTerm('');
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+                {keys.length === 0 && (
+                    <span className="text-xs text-slate-500 italic">No keys selected</span>
+                )}
+                {keys.map(key => (
+                    <div key={key} className="inline-flex items-center rounded-full bg-indigo-500/10 px-2.5 py-1 text-xs font-mono text-indigo-300 ring-1 ring-inset ring-indigo-500/30">
+                        <span>{key}</span>
+                        <button
+                            onClick={() => onChange(keys.filter(k => k !== key))}
+                            disabled={disabled}
+                            className="ml-1.5 inline-flex h-4 w-4 flex-shrink-0 items-center justify-center rounded-full text-indigo-300 hover:bg-indigo-500/20 hover:text-white focus:outline-none transition-colors disabled:opacity-40"
+                            title="Remove key"
+                        >
+                            &times;
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {candidateKeys.length > 0 && (
+                <div>
+                    <input
+                        type="text"
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                        disabled={disabled}
+                        placeholder={`Add a key (${candidateKeys.length} candidates)...`}
+                        className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-1.5 px-3 text-xs text-slate-200 placeholder-slate-500 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    />
+                    {searchTerm && (
+                        <div className="mt-1 max-h-40 overflow-y-auto custom-scrollbar border border-slate-700/50 rounded-lg bg-slate-800/60 p-1">
+                            {suggestions.length === 0 ? (
+                                <div className="text-xs text-slate-500 text-center py-2">No matching keys</div>
+                            ) : suggestions.map(key => (
+                                <button
+                                    key={key}
+                                    onClick={() => addKey(key)}
+                                    className="w-full text-left px-2 py-1 rounded text-xs font-mono text-slate-300 hover:bg-slate-700/50 transition-colors"
+                                >
+                                    + {key}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MappingKeyEditor;
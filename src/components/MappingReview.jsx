@@ -0,0 +1,121 @@
+/**
+ * MappingReview Component
+ * Runs the planner for a query and lets the user edit the proposed mapping keys
+ * before the answer is generated with them as forced_mapping_keys.
+ * onApprove receives the approved keys, or null to let the backend choose (planner failed).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { loadMappings, runPlannerAgent } from '../api/endpoints';
+import { classifyError } from '../api/errors';
+import { extractMappings } from '../utils/mappings';
+import { toProviderParam } from '../utils/providers';
+import MappingKeyEditor from './MappingKeyEditor';
+
+const MappingReview = ({ query, onApprove, onCancel }) => {
+    const { comparisonType, mappingLLMProvider } = useApp();
+
+    const [candidateKeys, setCandidateKeys] = useState([]);
+    const [proposedKeys, setProposedKeys] = useState([]);
+    const [keys, setKeys] = useState([]);
+    const [isPlanning, setIsPlanning] = useState(true);
+    const [planError, setPlanError] = useState(null);
+    const [attempt, setAttempt] = useState(0);
+
+    useEffect(() => {
+        let active = true;
+
+        const plan = async () => {
+            setIsPlanning(true);
+            setPlanError(null);
+            try {
+                const mappingsResponse = await loadMappings(comparisonType);
+                const candidates = Object.keys(extractMappings(mappingsResponse.data));
+                const plannerResponse = await runPlannerAgent(
+                    query,
+                    candidates,
+                    toProviderParam(mappingLLMProvider)
+                );
+                const proposed = plannerResponse.data.selected_keys || plannerResponse.data.mapping_keys || [];
+
+                if (!active) return;
+                setCandidateKeys(candidates);
+                setProposedKeys(proposed);
+                setKeys(proposed);
+            } catch (error) {
+                console.error('Planner error:', error);
+                if (active) setPlanError(classifyError(error));
+            } finally {
+                if (active) setIsPlanning(false);
+            }
+        };
+
+        plan();
+        return () => {
+            active = false;
+        };
+    }, [query, comparisonType, mappingLLMProvider, attempt]);
+
+    const isModified = keys.length !== proposedKeys.length || keys.some(k => !proposedKeys.includes(k));
+
+    return (
+        <div className="w-full max-w-3xl bg-slate-900/80 backdrop-blur-xl border border-indigo-500/30 rounded-2xl p-6 shadow-2xl animate-in fade-in duration-300">
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <span className="text-[10px] font-black text-indigo-400 uppercase tracking-[0.2em]">Review Mapping Keys</span>
+                    <p className="text-xs text-slate-400 mt-1">Approve or edit the keys the planner chose before the answer is generated.</p>
+                </div>
+                {isModified && !isPlanning && (
+                    <button
+                        onClick={() => setKeys(proposedKeys)}
+                        className="text-[10px] font-bold text-slate-500 hover:text-slate-300 uppercase tracking-wider transition-colors"
+                    >
+                        Reset
+                    </button>
+                )}
+            </div>
+
+            {isPlanning ? (
+                <div className="flex items-center gap-3 text-sm text-slate-400 py-4">
+                    <div className="w-4 h-4 border-2 border-indigo-400/30 border-t-indigo-400 rounded-full animate-spin"></div>
+                    <span>Running planner agent...</span>
+                </div>
+            ) : planError ? (
+                <div className="flex items-start justify-between gap-3 text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded p-3">
+                    <div>
+                        <span className="font-bold">{planError.title}:</span> {planError.message}
+                    </div>
+                    {planError.retryable && (
+                        <button
+                            onClick={() => setAttempt(n => n + 1)}
+                            className="shrink-0 font-bold uppercase tracking-wider text-red-300 hover:text-white transition-colors"
+                        >
+                            Retry
+                        </button>
+                    )}
+                </div>
+            ) : (
+                <MappingKeyEditor keys={keys} onChange={setKeys} candidateKeys={candidateKeys} />
+            )}
+
+            <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-slate-700/50">
+                <button
+                    onClick={onCancel}
+                    className="px-4 py-2 rounded-lg text-xs font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={() => onApprove(planError ? null : keys)}
+                    disabled={isPlanning || (!planError && keys.length === 0)}
+                    className="px-5 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 text-white text-xs font-bold uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                    {planError ? 'Generate Without Review' : 'Approve & Generate'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default MappingReview;
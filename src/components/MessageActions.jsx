@@ -0,0 +1,86 @@
+/**
+ * MessageActions Component
+ * Small action bar under a chat message: buttons, optional dropdown menus
+ * (e.g. regenerate with a provider) and a version switcher for branched turns
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+
+const BUTTON_CLASS = 'px-2 py-1 rounded-md text-[10px] font-bold uppercase tracking-wider text-slate-500 hover:text-slate-200 hover:bg-slate-700/50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+const ActionMenu = ({ action, disabled }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button onClick={() => setIsOpen(!isOpen)} disabled={disabled} className={BUTTON_CLASS} title={action.title}>
+                {action.label} ▾
+            </button>
+            {isOpen && (
+                <div className="absolute left-0 bottom-full mb-1 z-20 min-w-[12rem] bg-slate-800 border border-slate-700 rounded-lg shadow-2xl p-1">
+                    {action.items.map(item => (
+                        <button
+                            key={item.label}
+                            onClick={() => {
+                                setIsOpen(false);
+                                item.onClick();
+                            }}
+                            className="w-full text-left px-3 py-1.5 rounded text-xs text-slate-300 hover:bg-slate-700/60 transition-colors"
+                        >
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * actions: [{ label, title, onClick }] or [{ label, title, items: [{ label, onClick }] }] for a menu
+ * branch: { count, current, onSwitch(index) } - shown when the turn has more than one version
+ */
+const MessageActions = ({ actions, branch, disabled = false, align = 'start' }) => (
+    <div className={`flex items-center gap-1 ${align === 'end' ? 'justify-end' : 'justify-start'}`}>
+        {branch && branch.count > 1 && (
+            <div className="flex items-center gap-1 mr-1 text-[10px] font-mono text-slate-400">
+                <button
+                    onClick={() => branch.onSwitch(branch.current - 1)}
+                    disabled={disabled || branch.current === 0}
+                    className={BUTTON_CLASS}
+                    title="Previous version"
+                >
+                    ‹
+                </button>
+                <span>{branch.current + 1}/{branch.count}</span>
+                <button
+                    onClick={() => branch.onSwitch(branch.current + 1)}
+                    disabled={disabled || branch.current === branch.count - 1}
+                    className={BUTTON_CLASS}
+                    title="Next version"
+                >
+                    ›
+                </button>
+            </div>
+        )}
+        {actions.map(action => (action.items ? (
+            <ActionMenu key={action.label} action={action} disabled={disabled} />
+        ) : (
+            <button key={action.label} onClick={action.onClick} disabled={disabled || action.disabled} className={BUTTON_CLASS} title={action.title}>
+                {action.label}
+            </button>
+        )))}
+    </div>
+);
+
+export default MessageActions;
@@ -0,0 +1,88 @@
+/**
+ * NotificationHistory Component
+ * Header bell with an unread count and a dropdown listing every notification
+ * raised this session, newest first
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { levelStyle } from '../utils/notificationLevels';
+
+const NotificationHistory = () => {
+    const { notificationHistory, markNotificationsRead, clearNotificationHistory } = useApp();
+    const [isOpen, setIsOpen] = useState(false);
+    const panelRef = useRef(null);
+
+    const unreadCount = notificationHistory.filter(n => !n.read).length;
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (panelRef.current && !panelRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    // Anything that arrives while the panel is open counts as seen
+    useEffect(() => {
+        if (isOpen) markNotificationsRead();
+    }, [isOpen, notificationHistory, markNotificationsRead]);
+
+    return (
+        <div className="relative" ref={panelRef}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="relative p-2.5 rounded-xl border border-slate-700 bg-slate-800/50 text-slate-300 hover:text-white hover:border-blue-500/40 transition-all"
+                title="Notifications"
+            >
+                <span>🔔</span>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-1.5 -right-1.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-[10px] font-black text-white flex items-center justify-center">
+                        {unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-3 w-80 bg-slate-900 border border-slate-700/50 rounded-2xl shadow-2xl z-50 overflow-hidden backdrop-blur-2xl animate-in fade-in slide-in-from-top-2 duration-300">
+                    <div className="flex items-center justify-between p-4 bg-slate-800/50 border-b border-slate-700/50">
+                        <span className="text-[10px] font-black text-slate-500 uppercase tracking-[0.3em]">Notifications</span>
+                        {notificationHistory.length > 0 && (
+                            <button
+                                onClick={clearNotificationHistory}
+                                className="text-[10px] font-bold text-slate-500 hover:text-slate-300 uppercase tracking-wider transition-colors"
+                            >
+                                Clear
+                            </button>
+                        )}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto custom-scrollbar p-2">
+                        {notificationHistory.length === 0 ? (
+                            <p className="text-xs text-slate-500 text-center py-6">No notifications yet</p>
+                        ) : (
+                            notificationHistory.map(notification => {
+                                const style = levelStyle(notification.level);
+                                return (
+                                    <div key={notification.id} className="flex items-start gap-3 px-3 py-2 rounded-lg hover:bg-slate-800/50">
+                                        <span className={`text-xs font-black ${style.accent}`}>{style.icon}</span>
+                                        <div className="flex-1 min-w-0">
+                                            {notification.title && (
+                                                <div className={`text-[10px] font-black uppercase tracking-widest ${style.accent}`}>{notification.title}</div>
+                                            )}
+                                            <p className="text-xs text-slate-300 leading-snug">{notification.message}</p>
+                                            <span className="text-[10px] text-slate-600">{notification.timestamp.toLocaleTimeString()}</span>
+                                        </div>
+                                    </div>
+                                );
+                            })
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationHistory;
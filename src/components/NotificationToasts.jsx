@@ -0,0 +1,77 @@
+/**
+ * NotificationToasts Component
+ * Stack of toasts raised through notify() in AppContext. Each one auto-dismisses
+ * after its level's delay; hovering pauses the timer.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { levelStyle } from '../utils/notificationLevels';
+
+const Toast = ({ notification, onDismiss }) => {
+    const [isPaused, setIsPaused] = useState(false);
+    const style = levelStyle(notification.level);
+    const duration = notification.duration ?? style.duration;
+
+    useEffect(() => {
+        if (isPaused || !duration) return;
+        const timer = setTimeout(() => onDismiss(notification.id), duration);
+        return () => clearTimeout(timer);
+    }, [isPaused, duration, notification.id, onDismiss]);
+
+    return (
+        <div
+            role={notification.level === 'error' ? 'alert' : 'status'}
+            onMouseEnter={() => setIsPaused(true)}
+            onMouseLeave={() => setIsPaused(false)}
+            className={`pointer-events-auto w-80 bg-slate-900/95 backdrop-blur-xl border ${style.border} rounded-xl shadow-2xl p-4 animate-in slide-in-from-right-4 duration-300`}
+        >
+            <div className="flex items-start gap-3">
+                <span className={`text-sm font-black ${style.accent}`}>{style.icon}</span>
+                <div className="flex-1 min-w-0">
+                    {notification.title && (
+                        <div className={`text-[10px] font-black uppercase tracking-[0.2em] mb-0.5 ${style.accent}`}>{notification.title}</div>
+                    )}
+                    <p className="text-sm text-slate-200 leading-snug">{notification.message}</p>
+                    {notification.actions.length > 0 && (
+                        <div className="flex gap-2 mt-3">
+                            {notification.actions.map(action => (
+                                <button
+                                    key={action.label}
+                                    onClick={() => {
+                                        onDismiss(notification.id);
+                                        action.onClick();
+                                    }}
+                                    className="px-3 py-1 rounded-md border border-slate-600 text-[10px] font-bold uppercase tracking-wider text-slate-200 hover:bg-slate-700 transition-colors"
+                                >
+                                    {action.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <button
+                    onClick={() => onDismiss(notification.id)}
+                    className="text-slate-500 hover:text-white transition-colors"
+                    title="Dismiss"
+                >
+                    &times;
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const NotificationToasts = () => {
+    const { notifications, dismissNotification } = useApp();
+
+    return (
+        <div className="fixed top-24 right-6 z-[110] flex flex-col gap-3 pointer-events-none" aria-live="polite">
+            {notifications.map(notification => (
+                <Toast key={notification.id} notification={notification} onDismiss={dismissNotification} />
+            ))}
+        </div>
+    );
+};
+
+export default NotificationToasts;
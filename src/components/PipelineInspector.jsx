@@ -0,0 +1,276 @@
+/**
+ * PipelineInspector Component
+ * Runs a query through the agent pipeline one step at a time
+ * (mappings → planner → column agent → LangGraph) and shows each step's input, output and timing
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { loadMappings, runPlannerAgent, runColumnAgent, executeGraph } from '../api/endpoints';
+import { extractMappings, columnsForKeys } from '../utils/mappings';
+import { toProviderParam } from '../utils/providers';
+
+const STEPS = [
+    { id: 'mappings', label: 'Load Mappings', description: 'Candidate mapping keys for the comparison type' },
+    { id: 'planner', label: 'Planner Agent', description: 'Selects the mapping keys relevant to the query' },
+    { id: 'column', label: 'Column Agent', description: 'Picks data columns implied by the selected keys' },
+    { id: 'graph', label: 'LangGraph Execution', description: 'Full graph run for comparison with the step-by-step result' },
+];
+
+const timed = async (fn) => {
+    const start = performance.now();
+    const response = await fn();
+    return { data: response.data, durationMs: Math.round(performance.now() - start) };
+};
+
+const ChipList = ({ values, tone = 'slate', limit = 30 }) => {
+    if (!values || values.length === 0) {
+        return <span className="text-xs text-slate-500 italic">none</span>;
+    }
+    const toneClasses = {
+        slate: 'bg-slate-700/40 text-slate-300 border-slate-600/40',
+        indigo: 'bg-indigo-500/10 text-indigo-300 border-indigo-500/30',
+        emerald: 'bg-emerald-500/10 text-emerald-300 border-emerald-500/30',
+    };
+    return (
+        <div className="flex flex-wrap gap-1.5">
+            {values.slice(0, limit).map(value => (
+                <span key={value} className={`text-[10px] font-mono px-2 py-0.5 rounded border ${toneClasses[tone]}`}>{value}</span>
+            ))}
+            {values.length > limit && (
+                <span className="text-[10px] text-slate-500 px-1 py-0.5">+{values.length - limit} more</span>
+            )}
+        </div>
+    );
+};
+
+const StepCard = ({ step, index, result }) => {
+    const status = result?.status || 'pending';
+    const statusClasses = {
+        pending: 'text-slate-500 border-slate-700',
+        running: 'text-blue-300 border-blue-500/40 animate-pulse',
+        done: 'text-emerald-300 border-emerald-500/40',
+        error: 'text-red-300 border-red-500/40',
+        skipped: 'text-slate-500 border-slate-700',
+    };
+
+    return (
+        <div className="bg-slate-800/40 border border-slate-700/50 rounded-xl p-4">
+            <div className="flex items-center justify-between gap-3 mb-3">
+                <div className="flex items-center gap-3">
+                    <div className="w-6 h-6 rounded-full bg-slate-700/60 flex items-center justify-center text-[10px] font-bold text-slate-300">{index + 1}</div>
+                    <div>
+                        <div className="text-sm font-bold text-slate-200">{step.label}</div>
+                        <div className="text-[10px] text-slate-500">{step.description}</div>
+                    </div>
+                </div>
+                <div className="flex items-center gap-2">
+                    {result?.durationMs !== undefined && (
+                        <span className="text-[10px] font-mono text-slate-400">{(result.durationMs / 1000).toFixed(2)}s</span>
+                    )}
+                    <span className={`text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-full border ${statusClasses[status]}`}>{status}</span>
+                </div>
+            </div>
+
+            {result?.error && (
+                <div className="text-xs text-red-400 bg-red-500/10 border border-red-500/20 rounded p-2 mb-3">{result.error}</div>
+            )}
+
+            {result?.sections && (
+                <div className="space-y-3">
+                    {result.sections.map(section => (
+                        <div key={section.label}>
+                            <div className="text-[10px] font-bold text-slate-500 uppercase tracking-widest mb-1">
+                                {section.label}{section.values ? ` (${section.values.length})` : ''}
+                            </div>
+                            {section.values ? (
+                                <ChipList values={section.values} tone={section.tone} />
+                            ) : (
+                                <div className="text-xs text-slate-300 whitespace-pre-wrap">{section.text}</div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {result?.raw && (
+                <details className="mt-3">
+                    <summary className="cursor-pointer text-[10px] text-slate-500 font-bold uppercase tracking-widest hover:text-slate-400">Raw response</summary>
+                    <pre className="mt-2 max-h-48 overflow-auto custom-scrollbar text-[10px] text-slate-400 bg-slate-950/60 rounded p-2">{JSON.stringify(result.raw, null, 2)}</pre>
+                </details>
+            )}
+        </div>
+    );
+};
+
+const PipelineInspector = ({ initialQuery = '', onClose }) => {
+    const { comparisonType, mappingLLMProvider } = useApp();
+
+    const [query, setQuery] = useState(initialQuery);
+    const [includeGraph, setIncludeGraph] = useState(false);
+    const [results, setResults] = useState({});
+    const [isRunning, setIsRunning] = useState(false);
+    // Stop scheduling further steps once the dialog is closed
+    const activeRef = useRef(true);
+
+    useEffect(() => {
+        activeRef.current = true;
+        return () => {
+            activeRef.current = false;
+        };
+    }, []);
+
+    const setStep = (id, patch) => {
+        if (!activeRef.current) return;
+        setResults(prev => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+    };
+
+    const runPipeline = async () => {
+        const trimmedQuery = query.trim();
+        if (!trimmedQuery) return;
+
+        const provider = toProviderParam(mappingLLMProvider);
+        let currentStep = 'mappings';
+        setResults({});
+        setIsRunning(true);
+
+        try {
+            // 1. Candidate keys
+            setStep('mappings', { status: 'running' });
+            const mappingsRun = await timed(() => loadMappings(comparisonType));
+            const mappings = extractMappings(mappingsRun.data);
+            const candidateKeys = Object.keys(mappings);
+            setStep('mappings', {
+                status: 'done',
+                durationMs: mappingsRun.durationMs,
+                sections: [
+                    { label: 'Input', text: `comparison_type: ${comparisonType}` },
+                    { label: 'Candidate keys', values: candidateKeys },
+                ],
+                raw: mappingsRun.data,
+            });
+            if (!activeRef.current) return;
+
+            // 2. Planner
+            currentStep = 'planner';
+            setStep('planner', { status: 'running' });
+            const plannerRun = await timed(() => runPlannerAgent(trimmedQuery, candidateKeys, provider));
+            const selectedKeys = plannerRun.data.selected_keys || plannerRun.data.mapping_keys || [];
+            setStep('planner', {
+                status: 'done',
+                durationMs: plannerRun.durationMs,
+                sections: [
+                    { label: 'Input query', text: trimmedQuery },
+                    { label: 'Candidate keys', values: candidateKeys },
+                    { label: 'Selected keys', values: selectedKeys, tone: 'indigo' },
+                ],
+                raw: plannerRun.data,
+            });
+            if (!activeRef.current) return;
+
+            // 3. Column agent - candidates are the columns behind the selected keys
+            currentStep = 'column';
+            setStep('column', { status: 'running' });
+            const candidateColumns = columnsForKeys(mappings, selectedKeys);
+            const columnRun = await timed(() => runColumnAgent(trimmedQuery, selectedKeys, candidateColumns, provider));
+            const selectedColumns = columnRun.data.selected_columns || columnRun.data.columns || [];
+            setStep('column', {
+                status: 'done',
+                durationMs: columnRun.durationMs,
+                sections: [
+                    { label: 'Selected keys', values: selectedKeys, tone: 'indigo' },
+                    { label: 'Candidate columns', values: candidateColumns },
+                    { label: 'Selected columns', values: selectedColumns, tone: 'emerald' },
+                ],
+                raw: columnRun.data,
+            });
+            if (!activeRef.current) return;
+
+            // 4. Optional full graph run
+            currentStep = 'graph';
+            if (!includeGraph) {
+                setStep('graph', { status: 'skipped' });
+                return;
+            }
+            setStep('graph', { status: 'running' });
+            const graphRun = await timed(() => executeGraph(trimmedQuery, comparisonType, candidateKeys, provider));
+            const graphKeys = graphRun.data.selected_keys || graphRun.data.mapping_keys || [];
+            const graphColumns = graphRun.data.selected_columns || [];
+            setStep('graph', {
+                status: 'done',
+                durationMs: graphRun.durationMs,
+                sections: [
+                    { label: 'Selected keys', values: graphKeys, tone: 'indigo' },
+                    { label: 'Selected columns', values: graphColumns, tone: 'emerald' },
+                ],
+                raw: graphRun.data,
+            });
+        } catch (error) {
+            console.error(`Pipeline step "${currentStep}" failed:`, error);
+            setStep(currentStep, {
+                status: 'error',
+                error: error.response?.data?.error || error.message || 'Step failed',
+            });
+        } finally {
+            if (activeRef.current) setIsRunning(false);
+        }
+    };
+
+    const totalMs = Object.values(results).reduce((sum, r) => sum + (r.durationMs || 0), 0);
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-slate-950/70 backdrop-blur-sm p-6">
+            <div className="w-full max-w-3xl max-h-full flex flex-col bg-slate-900 border border-slate-700/50 rounded-2xl shadow-2xl overflow-hidden">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-slate-700/50 bg-slate-800/50">
+                    <div>
+                        <h2 className="text-sm font-black text-white uppercase tracking-widest">Inspect Pipeline</h2>
+                        <p className="text-[10px] text-slate-500 mt-0.5">{comparisonType} · {mappingLLMProvider}</p>
+                    </div>
+                    <button onClick={onClose} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors">✕</button>
+                </div>
+
+                <div className="p-6 border-b border-slate-800 space-y-3">
+                    <textarea
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        rows={2}
+                        placeholder="Query to trace through the agents..."
+                        className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 placeholder-slate-500 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    />
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center">
+                            <input
+                                type="checkbox"
+                                id="inspect-include-graph"
+                                checked={includeGraph}
+                                onChange={(e) => setIncludeGraph(e.target.checked)}
+                                className="h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
+                            />
+                            <label htmlFor="inspect-include-graph" className="ml-2 text-xs text-slate-300 cursor-pointer select-none">
+                                Also run the full LangGraph workflow
+                            </label>
+                        </div>
+                        <button
+                            onClick={runPipeline}
+                            disabled={isRunning || !query.trim()}
+                            className="bg-blue-600 hover:bg-blue-500 text-white font-bold px-5 py-2 rounded-lg text-xs uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                            {isRunning ? 'Running...' : 'Run Step by Step'}
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-4 custom-scrollbar">
+                    {STEPS.map((step, index) => (
+                        <StepCard key={step.id} step={step} index={index} result={results[step.id]} />
+                    ))}
+                    {totalMs > 0 && (
+                        <div className="text-right text-[10px] font-mono text-slate-500">Total: {(totalMs / 1000).toFixed(2)}s</div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PipelineInspector;
@@ -0,0 +1,113 @@
+/**
+ * ProjectRecommendations Component
+ * Recommended projects for the selected city with one-click add to the comparison
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { getProjectRecommendations } from '../api/endpoints';
+import { MAX_SELECTED_ITEMS } from '../utils/selection';
+
+// Recommendations come back as objects or bare names depending on the backend version
+const normalizeRecommendation = (entry) => {
+    if (typeof entry === 'string') {
+        return { name: entry, reasons: [] };
+    }
+    const name = entry.project_name || entry.name || entry.project || '';
+    const reasons = entry.reasons || entry.reason || [];
+    return {
+        name,
+        reasons: Array.isArray(reasons) ? reasons : [reasons],
+        score: entry.score,
+    };
+};
+
+const ProjectRecommendations = () => {
+    const { selectedCity, selectedItems, setSelectedItems, availableItems } = useApp();
+
+    const [recommendations, setRecommendations] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    // Refresh whenever the city changes
+    useEffect(() => {
+        let active = true;
+
+        const loadRecommendations = async () => {
+            setLoading(true);
+            setLoadError(null);
+            try {
+                const response = await getProjectRecommendations(selectedCity);
+                const entries = response.data.recommendations || response.data.projects || [];
+                if (active) {
+                    setRecommendations(entries.map(normalizeRecommendation).filter(r => r.name));
+                }
+            } catch (error) {
+                console.error('Failed to load project recommendations:', error);
+                if (active) setLoadError('Could not load recommendations.');
+            } finally {
+                if (active) setLoading(false);
+            }
+        };
+
+        loadRecommendations();
+        return () => {
+            active = false;
+        };
+    }, [selectedCity]);
+
+    const isAtLimit = selectedItems.length >= MAX_SELECTED_ITEMS;
+
+    // Only projects the item list for this city knows about can be added
+    const selectable = recommendations.filter(rec => availableItems.includes(rec.name));
+
+    return (
+        <div className="p-6 border-b border-slate-800/50">
+            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-3">
+                Recommended Projects
+            </label>
+
+            {loading ? (
+                <div className="text-sm text-slate-500 text-center py-4">Loading recommendations...</div>
+            ) : loadError ? (
+                <div className="text-xs text-red-400 text-center py-2">{loadError}</div>
+            ) : selectable.length === 0 ? (
+                <div className="text-xs text-slate-500 text-center py-2">No recommendations for {selectedCity}</div>
+            ) : (
+                <div className="max-h-64 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+                    {selectable.map(rec => {
+                        const isSelected = selectedItems.includes(rec.name);
+                        return (
+                            <div key={rec.name} className="bg-slate-800/30 border border-slate-700/50 rounded-lg p-3">
+                                <div className="flex items-start justify-between gap-2">
+                                    <span className="text-sm text-slate-200 font-medium leading-tight">{rec.name}</span>
+                                    <button
+                                        onClick={() => setSelectedItems([...selectedItems, rec.name])}
+                                        disabled={isSelected || isAtLimit}
+                                        className="shrink-0 text-[10px] font-bold uppercase tracking-wider px-2 py-1 rounded border border-blue-500/30 text-blue-300 hover:bg-blue-500/20 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                                        title={isAtLimit && !isSelected ? `Maximum ${MAX_SELECTED_ITEMS} items can be selected` : undefined}
+                                    >
+                                        {isSelected ? 'Added' : '+ Add'}
+                                    </button>
+                                </div>
+                                {rec.reasons.length > 0 && (
+                                    <ul className="mt-2 space-y-0.5 list-disc list-inside">
+                                        {rec.reasons.map((reason, i) => (
+                                            <li key={i} className="text-xs text-slate-400">{reason}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {isAtLimit && selectable.length > 0 && (
+                <p className="mt-2 text-xs text-slate-500">{MAX_SELECTED_ITEMS} item limit reached - remove one to add another.</p>
+            )}
+        </div>
+    );
+};
+
+export default ProjectRecommendations;
@@ -0,0 +1,88 @@
+/**
+ * ProviderComparison Component
+ * One query answered by each LLM provider, in adjacent columns with tokens, latency
+ * and mapping keys. Numbers that only one answer mentions are highlighted.
+ */
+
+import React, { useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { normalizeResponseMarkdown } from '../utils/markdown';
+import { extractNumbers, differingNumbers, remarkHighlightNumbers } from '../utils/numberDiff';
+
+const HIGHLIGHT_CLASS = 'bg-amber-400/20 text-amber-200 rounded px-0.5';
+
+const formatLatency = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+const ProviderComparison = ({ results }) => {
+    // Each answer is diffed against the union of the other successful answers
+    const diffs = useMemo(() => results.map((result, index) => {
+        if (result.error) return null;
+        const otherNumbers = new Set(results
+            .filter((other, i) => i !== index && !other.error)
+            .flatMap(other => [...extractNumbers(other.content)]));
+        return { otherNumbers, count: differingNumbers(result.content, otherNumbers).length };
+    }), [results]);
+
+    const canDiff = results.filter(result => !result.error).length > 1;
+
+    return (
+        <div className="w-full">
+            <div className="flex items-center justify-between mb-3">
+                <span className="text-[10px] font-black text-blue-400 uppercase tracking-[0.2em]">Provider Comparison</span>
+                {canDiff && (
+                    <span className="text-[10px] text-slate-500">
+                        <mark className={HIGHLIGHT_CLASS}>123</mark> figures not found in the other answer
+                    </span>
+                )}
+            </div>
+            <div className={`grid gap-4 grid-cols-1 ${results.length > 1 ? 'lg:grid-cols-2' : ''}`}>
+                {results.map((result, index) => (
+                    <div key={result.provider} className="flex flex-col bg-slate-900/80 backdrop-blur-xl rounded-2xl border border-slate-700/50 overflow-hidden shadow-2xl min-w-0">
+                        <div className="px-5 py-3 bg-slate-800/50 border-b border-slate-700/50">
+                            <div className="flex items-center justify-between">
+                                <span className="text-xs font-black text-white uppercase tracking-widest">{result.provider}</span>
+                                <span className="text-[10px] text-slate-400 font-mono">{formatLatency(result.latencyMs)}</span>
+                            </div>
+                            {!result.error && (
+                                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-[10px] font-mono text-slate-400">
+                                    <span>{result.metadata.inputTokens || 0} I / {result.metadata.outputTokens || 0} O</span>
+                                    {result.metadata.cached && <span className="text-emerald-400">cached</span>}
+                                    {canDiff && (
+                                        <span className={diffs[index].count ? 'text-amber-300' : 'text-slate-500'}>
+                                            {diffs[index].count} differing figure{diffs[index].count === 1 ? '' : 's'}
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+                            {result.metadata?.mappingKeys?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-2">
+                                    {result.metadata.mappingKeys.map(key => (
+                                        <span key={key} className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-indigo-500/10 border border-indigo-500/20 text-indigo-300">{key}</span>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        {result.error ? (
+                            <div className="p-5 text-sm text-red-400">
+                                <span className="font-bold">{result.error.title}:</span> {result.error.message}
+                            </div>
+                        ) : (
+                            <div className="p-5 prose prose-invert prose-sm max-w-none overflow-x-auto custom-scrollbar">
+                                <ReactMarkdown
+                                    remarkPlugins={canDiff
+                                        ? [remarkGfm, [remarkHighlightNumbers, { otherNumbers: diffs[index].otherNumbers, className: HIGHLIGHT_CLASS }]]
+                                        : [remarkGfm]}
+                                >
+                                    {normalizeResponseMarkdown(result.content)}
+                                </ReactMarkdown>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ProviderComparison;
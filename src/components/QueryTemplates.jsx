@@ -0,0 +1,236 @@
+/**
+ * QueryTemplates Component
+ * Template library opened from the composer: templates for the current comparison
+ * type grouped by category, previewed with the current configuration filled in.
+ * Templates can be added (prefilled from the composer), deleted, imported and exported as JSON.
+ */
+
+import React, { useRef, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { generateId } from '../utils/sessionStore';
+import { downloadBlob } from '../utils/download';
+import {
+    BUILT_IN_TEMPLATES,
+    TEMPLATE_TYPES,
+    TEMPLATE_CATEGORIES,
+    PLACEHOLDERS,
+    fillTemplate,
+    templatesForType,
+    groupByCategory,
+    loadCustomTemplates,
+    saveCustomTemplates,
+    exportTemplates,
+    parseTemplateImport,
+    mergeTemplates,
+} from '../utils/queryTemplates';
+
+const INPUT_CLASS = 'block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-1.5 px-3 text-sm text-slate-200 placeholder-slate-500 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const QueryTemplates = ({ initialText = '', onInsert, onClose }) => {
+    const { comparisonType, selectedCity, selectedItems, selectedCategories, selectedYears, notify } = useApp();
+    const config = { comparisonType, selectedCity, selectedItems, selectedCategories, selectedYears };
+
+    const [customTemplates, setCustomTemplates] = useState(loadCustomTemplates);
+    const [typeFilter, setTypeFilter] = useState(comparisonType);
+    // Form for a new template, open straight away when there is a query to save
+    const [draft, setDraft] = useState(initialText.trim()
+        ? { name: '', text: initialText.trim(), comparisonType, category: 'General' }
+        : null);
+    const textRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    const allTemplates = [...BUILT_IN_TEMPLATES, ...customTemplates];
+    const visible = typeFilter === 'Any' ? allTemplates : templatesForType(allTemplates, typeFilter);
+    const isCustom = (template) => customTemplates.some(t => t.id === template.id);
+
+    const updateTemplates = (updated) => {
+        setCustomTemplates(updated);
+        saveCustomTemplates(updated);
+    };
+
+    const insertPlaceholder = (name) => {
+        const input = textRef.current;
+        const start = input?.selectionStart ?? draft.text.length;
+        const end = input?.selectionEnd ?? draft.text.length;
+        setDraft({ ...draft, text: `${draft.text.slice(0, start)}{${name}}${draft.text.slice(end)}` });
+    };
+
+    const handleSaveDraft = () => {
+        const template = { ...draft, name: draft.name.trim(), text: draft.text.trim() };
+        updateTemplates(mergeTemplates(customTemplates, [template], generateId));
+        setDraft(null);
+        notify({ level: 'success', message: `Template "${template.name}" saved` });
+    };
+
+    const handleExport = () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(new Blob([exportTemplates(customTemplates)], { type: 'application/json' }), `propgpt_templates_${date}.json`);
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseTemplateImport(await file.text());
+            updateTemplates(mergeTemplates(customTemplates, imported, generateId));
+            notify({ level: 'success', message: `Imported ${imported.length} template${imported.length === 1 ? '' : 's'}` });
+        } catch (error) {
+            console.error('Template import error:', error);
+            notify({ level: 'error', title: 'Import failed', message: error.message });
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-slate-950/70 backdrop-blur-sm p-6">
+            <div className="w-full max-w-3xl max-h-full flex flex-col bg-slate-900 border border-slate-700/50 rounded-2xl shadow-2xl overflow-hidden">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-slate-700/50 bg-slate-800/50">
+                    <div>
+                        <h2 className="text-sm font-black text-white uppercase tracking-widest">Query Templates</h2>
+                        <p className="text-[10px] text-slate-500 mt-0.5">Placeholders are filled from the current configuration</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            className="px-3 py-1.5 rounded-lg border border-slate-600 text-[10px] font-bold uppercase tracking-wider text-slate-300 hover:bg-slate-700 transition-colors"
+                        >
+                            Import
+                        </button>
+                        <button
+                            onClick={handleExport}
+                            disabled={customTemplates.length === 0}
+                            className="px-3 py-1.5 rounded-lg border border-slate-600 text-[10px] font-bold uppercase tracking-wider text-slate-300 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                            title="Export your saved templates as JSON"
+                        >
+                            Export
+                        </button>
+                        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                        <button onClick={onClose} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors">✕</button>
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto custom-scrollbar p-6 space-y-6">
+                    {draft ? (
+                        <div className="space-y-3 bg-slate-800/30 border border-slate-700/50 rounded-xl p-4">
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider">New Template</label>
+                            <input
+                                type="text"
+                                value={draft.name}
+                                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                                placeholder="Template name"
+                                className={INPUT_CLASS}
+                            />
+                            <textarea
+                                ref={textRef}
+                                value={draft.text}
+                                onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+                                rows={3}
+                                placeholder="e.g. Compare absorption for {items} over {years}"
+                                className={INPUT_CLASS}
+                            />
+                            <div className="flex flex-wrap gap-1.5">
+                                {Object.entries(PLACEHOLDERS).map(([name, { description }]) => (
+                                    <button
+                                        key={name}
+                                        onClick={() => insertPlaceholder(name)}
+                                        className="text-[10px] font-mono px-2 py-0.5 rounded border border-indigo-500/30 bg-indigo-500/10 text-indigo-300 hover:bg-indigo-500/20 transition-colors"
+                                        title={description}
+                                    >
+                                        {`{${name}}`}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="grid grid-cols-2 gap-3">
+                                <select value={draft.comparisonType} onChange={(e) => setDraft({ ...draft, comparisonType: e.target.value })} className={INPUT_CLASS}>
+                                    {TEMPLATE_TYPES.map(type => <option key={type} value={type}>{type === 'Any' ? 'Any comparison type' : type}</option>)}
+                                </select>
+                                <select value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })} className={INPUT_CLASS}>
+                                    {TEMPLATE_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                                </select>
+                            </div>
+                            <div className="flex justify-end gap-2">
+                                <button
+                                    onClick={() => setDraft(null)}
+                                    className="px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={handleSaveDraft}
+                                    disabled={!draft.name.trim() || !draft.text.trim()}
+                                    className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                                >
+                                    Save Template
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <button
+                            onClick={() => setDraft({ name: '', text: '', comparisonType, category: 'General' })}
+                            className="w-full py-2 rounded-lg border border-dashed border-slate-700 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:border-slate-500 transition-colors"
+                        >
+                            + New Template
+                        </button>
+                    )}
+
+                    <div className="flex gap-2">
+                        {TEMPLATE_TYPES.map(type => (
+                            <button
+                                key={type}
+                                onClick={() => setTypeFilter(type)}
+                                className={`px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider border transition-colors ${typeFilter === type
+                                    ? 'border-blue-500/50 bg-blue-500/20 text-blue-300'
+                                    : 'border-slate-700 text-slate-400 hover:text-white hover:bg-slate-700/50'
+                                    }`}
+                            >
+                                {type === 'Any' ? 'All' : type}
+                            </button>
+                        ))}
+                    </div>
+
+                    {visible.length === 0 ? (
+                        <p className="text-sm text-slate-500 text-center py-8">No templates for this comparison type yet.</p>
+                    ) : groupByCategory(visible).map(([category, templates]) => (
+                        <div key={category}>
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">{category}</label>
+                            <div className="space-y-2">
+                                {templates.map(template => (
+                                    <div key={template.id} className="flex items-start gap-3 bg-slate-800/40 border border-slate-700/50 rounded-lg px-4 py-3">
+                                        <div className="flex-1 min-w-0">
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-sm font-bold text-slate-200">{template.name}</span>
+                                                {template.comparisonType !== 'Any' && (
+                                                    <span className="text-[9px] font-bold uppercase tracking-wider text-slate-500">{template.comparisonType}</span>
+                                                )}
+                                            </div>
+                                            <p className="text-xs text-slate-300 mt-1">{fillTemplate(template.text, config)}</p>
+                                            <p className="text-[10px] font-mono text-slate-600 mt-0.5">{template.text}</p>
+                                        </div>
+                                        <div className="flex flex-col gap-1 shrink-0">
+                                            <button
+                                                onClick={() => onInsert(fillTemplate(template.text, config))}
+                                                className="px-3 py-1 rounded-md bg-blue-600/80 hover:bg-blue-500 text-white text-[10px] font-bold uppercase tracking-wider transition-colors"
+                                            >
+                                                Insert
+                                            </button>
+                                            {isCustom(template) && (
+                                                <button
+                                                    onClick={() => updateTemplates(customTemplates.filter(t => t.id !== template.id))}
+                                                    className="px-3 py-1 rounded-md text-[10px] font-bold uppercase tracking-wider text-slate-500 hover:text-red-300 transition-colors"
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default QueryTemplates;
@@ -0,0 +1,259 @@
+/**
+ * ReportBuilder Component
+ * Dialog for composing a structured report: sections and their order, which chat
+ * messages to include, title/client name, and locally saved presets
+ */
+
+import React, { useState } from 'react';
+import { generateId } from '../utils/sessionStore';
+import {
+    REPORT_SECTIONS,
+    BUILT_IN_PRESETS,
+    loadCustomPresets,
+    saveCustomPresets,
+} from '../utils/reportPresets';
+
+const previewText = (content, length = 90) => {
+    const flat = (content || '').replace(/[#*_`|>-]/g, ' ').replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+};
+
+const ReportBuilder = ({ messages, onGenerate, onClose }) => {
+    // Only real questions and answers belong in a report
+    const reportableMessages = messages.filter(m => m.role === 'user' || (m.role === 'assistant' && !m.metadata?.cancelled));
+
+    const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+    const [presetId, setPresetId] = useState('institutional');
+    const [sections, setSections] = useState(BUILT_IN_PRESETS[1].sections);
+    const [includedIds, setIncludedIds] = useState(() => reportableMessages.map(m => m.id));
+    const [title, setTitle] = useState('');
+    const [clientName, setClientName] = useState('');
+    const [presetName, setPresetName] = useState('');
+
+    const allPresets = [...BUILT_IN_PRESETS, ...customPresets];
+    const availableSections = REPORT_SECTIONS.filter(section => !sections.includes(section));
+
+    const applyPreset = (id) => {
+        const preset = allPresets.find(p => p.id === id);
+        if (!preset) return;
+        setPresetId(id);
+        setSections(preset.sections);
+        if (preset.title !== undefined) setTitle(preset.title);
+        if (preset.clientName !== undefined) setClientName(preset.clientName);
+    };
+
+    const moveSection = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= sections.length) return;
+        const reordered = [...sections];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setSections(reordered);
+    };
+
+    const toggleMessage = (id) => {
+        setIncludedIds(prev => (prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]));
+    };
+
+    const handleSavePreset = () => {
+        const name = presetName.trim();
+        if (!name) return;
+
+        // Saving under an existing custom name overwrites that preset
+        const existing = customPresets.find(p => p.name === name);
+        const preset = { id: existing?.id || generateId(), name, sections, title, clientName };
+        const updated = existing
+            ? customPresets.map(p => (p.id === existing.id ? preset : p))
+            : [...customPresets, preset];
+
+        setCustomPresets(updated);
+        saveCustomPresets(updated);
+        setPresetId(preset.id);
+        setPresetName('');
+    };
+
+    const handleDeletePreset = () => {
+        const updated = customPresets.filter(p => p.id !== presetId);
+        setCustomPresets(updated);
+        saveCustomPresets(updated);
+        setPresetId('');
+    };
+
+    const handleGenerate = () => {
+        const preset = allPresets.find(p => p.id === presetId);
+        // A built-in preset only keeps its id while its section list is untouched
+        const isUnchangedBuiltIn = BUILT_IN_PRESETS.some(p => p.id === presetId)
+            && preset.sections.join('|') === sections.join('|');
+        onGenerate({
+            sections,
+            preset: isUnchangedBuiltIn ? presetId : 'custom',
+            preset_name: preset?.name || 'Custom',
+            title: title.trim() || undefined,
+            client_name: clientName.trim() || undefined,
+            messages: reportableMessages
+                .filter(m => includedIds.includes(m.id))
+                .map(m => ({ role: m.role, content: m.content })),
+        });
+    };
+
+    const isCustomPreset = customPresets.some(p => p.id === presetId);
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-slate-950/70 backdrop-blur-sm p-6">
+            <div className="w-full max-w-4xl max-h-full flex flex-col bg-slate-900 border border-slate-700/50 rounded-2xl shadow-2xl overflow-hidden">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-slate-700/50 bg-slate-800/50">
+                    <h2 className="text-sm font-black text-white uppercase tracking-widest">Report Builder</h2>
+                    <button onClick={onClose} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors">✕</button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto custom-scrollbar p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {/* Left column: details and sections */}
+                    <div className="space-y-6">
+                        <div className="space-y-3">
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider">Preset</label>
+                            <div className="flex gap-2">
+                                <select
+                                    value={presetId}
+                                    onChange={(e) => applyPreset(e.target.value)}
+                                    className="flex-1 rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                >
+                                    {presetId === '' && <option value="">Unsaved</option>}
+                                    {allPresets.map(p => (
+                                        <option key={p.id} value={p.id}>{p.name}</option>
+                                    ))}
+                                </select>
+                                {isCustomPreset && (
+                                    <button
+                                        onClick={handleDeletePreset}
+                                        className="px-3 rounded-lg border border-slate-700 text-xs text-slate-400 hover:text-red-400 hover:border-red-500/40 transition-colors"
+                                    >
+                                        Delete
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Title</label>
+                                <input
+                                    value={title}
+                                    onChange={(e) => setTitle(e.target.value)}
+                                    placeholder="Market Intelligence Report"
+                                    className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 placeholder-slate-600 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Client Name</label>
+                                <input
+                                    value={clientName}
+                                    onChange={(e) => setClientName(e.target.value)}
+                                    placeholder="Optional"
+                                    className="block w-full rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 placeholder-slate-600 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                />
+                            </div>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Sections ({sections.length})</label>
+                            <div className="space-y-1">
+                                {sections.map((section, index) => (
+                                    <div key={section} className="flex items-center justify-between bg-slate-800/40 border border-slate-700/50 rounded-lg px-3 py-2">
+                                        <span className="text-sm text-slate-200">
+                                            <span className="text-slate-500 font-mono text-xs mr-2">{index + 1}.</span>{section}
+                                        </span>
+                                        <div className="flex items-center gap-1 text-slate-500">
+                                            <button onClick={() => moveSection(index, -1)} disabled={index === 0} className="px-1.5 hover:text-white disabled:opacity-30" title="Move up">↑</button>
+                                            <button onClick={() => moveSection(index, 1)} disabled={index === sections.length - 1} className="px-1.5 hover:text-white disabled:opacity-30" title="Move down">↓</button>
+                                            <button onClick={() => setSections(sections.filter(s => s !== section))} className="px-1.5 hover:text-red-400" title="Remove">&times;</button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            {availableSections.length > 0 && (
+                                <div className="flex flex-wrap gap-2 mt-3">
+                                    {availableSections.map(section => (
+                                        <button
+                                            key={section}
+                                            onClick={() => setSections([...sections, section])}
+                                            className="text-[10px] font-bold px-2 py-1 rounded-full border border-dashed border-slate-600 text-slate-400 hover:text-blue-300 hover:border-blue-500/50 transition-colors"
+                                        >
+                                            + {section}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Save as Preset</label>
+                            <div className="flex gap-2">
+                                <input
+                                    value={presetName}
+                                    onChange={(e) => setPresetName(e.target.value)}
+                                    placeholder="Preset name"
+                                    className="flex-1 rounded-lg border border-slate-700 bg-slate-800/50 py-2 px-3 text-sm text-slate-200 placeholder-slate-600 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                />
+                                <button
+                                    onClick={handleSavePreset}
+                                    disabled={!presetName.trim() || sections.length === 0}
+                                    className="px-4 rounded-lg border border-slate-600 text-xs font-bold uppercase tracking-wider text-slate-300 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                                >
+                                    Save
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Right column: messages */}
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                                Messages ({includedIds.length}/{reportableMessages.length})
+                            </label>
+                            <div className="flex gap-3 text-[10px] font-bold uppercase tracking-wider">
+                                <button onClick={() => setIncludedIds(reportableMessages.map(m => m.id))} className="text-slate-500 hover:text-slate-300">All</button>
+                                <button onClick={() => setIncludedIds([])} className="text-slate-500 hover:text-slate-300">None</button>
+                            </div>
+                        </div>
+                        <div className="max-h-[50vh] overflow-y-auto custom-scrollbar space-y-1 border border-slate-700/50 rounded-lg p-2 bg-slate-800/30">
+                            {reportableMessages.map(message => (
+                                <label key={message.id} className="flex items-start gap-2 px-2 py-1.5 rounded hover:bg-slate-700/40 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={includedIds.includes(message.id)}
+                                        onChange={() => toggleMessage(message.id)}
+                                        className="mt-0.5 h-4 w-4 rounded border-slate-600 bg-slate-700 text-blue-600 focus:ring-blue-500 focus:ring-offset-slate-900"
+                                    />
+                                    <div className="min-w-0">
+                                        <span className={`text-[9px] font-black uppercase tracking-widest ${message.role === 'user' ? 'text-blue-400' : 'text-emerald-400'}`}>
+                                            {message.role === 'user' ? 'Question' : 'Answer'}
+                                        </span>
+                                        <p className="text-xs text-slate-300 leading-snug">{previewText(message.content)}</p>
+                                    </div>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-3 px-6 py-4 border-t border-slate-700/50 bg-slate-800/30">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 rounded-lg text-xs font-bold uppercase tracking-wider text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleGenerate}
+                        disabled={sections.length === 0 || includedIds.length === 0}
+                        className="px-5 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold uppercase tracking-wider transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                        Generate Report
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReportBuilder;
@@ -0,0 +1,160 @@
+/**
+ * SessionSidebar Component
+ * Lists saved chat sessions so they can be reopened, renamed or deleted
+ */
+
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+
+const formatSessionDate = (iso) => {
+    const date = new Date(iso);
+    return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' }) + ' · ' +
+        date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+const SessionSidebar = () => {
+    const {
+        sessions,
+        activeSessionId,
+        openSession,
+        renameSession,
+        deleteSession,
+        restoreSession,
+        clearChat,
+        loading,
+        notify,
+    } = useApp();
+
+    const [isCollapsed, setIsCollapsed] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+
+    const startRename = (session) => {
+        setEditingId(session.id);
+        setDraftTitle(session.title);
+    };
+
+    const commitRename = () => {
+        renameSession(editingId, draftTitle);
+        setEditingId(null);
+    };
+
+    const handleDelete = (session) => {
+        const index = sessions.findIndex(s => s.id === session.id);
+        deleteSession(session.id);
+        notify({
+            level: 'info',
+            message: `Deleted "${session.title}"`,
+            actions: [{ label: 'Undo', onClick: () => restoreSession(session, index) }],
+        });
+    };
+
+    if (isCollapsed) {
+        return (
+            <div className="w-12 h-full flex flex-col items-center border-r border-slate-700 bg-slate-900/40 backdrop-blur-xl shrink-0 py-4">
+                <button
+                    onClick={() => setIsCollapsed(false)}
+                    className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors"
+                    title="Show session history"
+                >
+                    🕘
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="w-64 h-full flex flex-col border-r border-slate-700 bg-slate-900/40 backdrop-blur-xl shrink-0">
+            <div className="p-4 border-b border-slate-700 flex items-center justify-between">
+                <div>
+                    <h2 className="text-sm font-bold text-white tracking-tight">Sessions</h2>
+                    <p className="text-xs text-slate-500 mt-0.5">{sessions.length} saved</p>
+                </div>
+                <button
+                    onClick={() => setIsCollapsed(true)}
+                    className="p-1.5 rounded-md text-slate-500 hover:text-white hover:bg-slate-700/50 transition-colors"
+                    title="Hide session history"
+                >
+                    «
+                </button>
+            </div>
+
+            <div className="p-3 border-b border-slate-800/50">
+                <button
+                    onClick={clearChat}
+                    disabled={loading}
+                    className="w-full rounded-md bg-blue-600/20 border border-blue-500/30 py-2 px-3 text-xs font-bold text-blue-300 uppercase tracking-wider hover:bg-blue-600/30 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                >
+                    + New Analysis
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-2 space-y-1 custom-scrollbar">
+                {sessions.length === 0 && (
+                    <div className="text-xs text-slate-500 text-center py-6">No saved sessions yet</div>
+                )}
+                {sessions.map(session => {
+                    const isActive = session.id === activeSessionId;
+                    const itemCount = session.config?.selectedItems?.length || 0;
+
+                    return (
+                        <div
+                            key={session.id}
+                            className={`group rounded-lg px-3 py-2 border transition-colors ${isActive
+                                ? 'bg-blue-500/10 border-blue-500/30'
+                                : 'border-transparent hover:bg-slate-700/30'
+                                }`}
+                        >
+                            {editingId === session.id ? (
+                                <input
+                                    autoFocus
+                                    value={draftTitle}
+                                    onChange={(e) => setDraftTitle(e.target.value)}
+                                    onBlur={commitRename}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitRename();
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                    className="w-full rounded border border-blue-500/50 bg-slate-800 px-2 py-1 text-xs text-slate-200 focus:outline-none"
+                                />
+                            ) : (
+                                <button
+                                    onClick={() => openSession(session.id)}
+                                    disabled={loading || isActive}
+                                    className="w-full text-left disabled:cursor-default"
+                                >
+                                    <div className={`text-xs font-semibold truncate ${isActive ? 'text-blue-300' : 'text-slate-300'}`}>
+                                        {session.title}
+                                    </div>
+                                    <div className="text-[10px] text-slate-500 mt-0.5 truncate">
+                                        {session.config?.comparisonType} · {itemCount} {itemCount === 1 ? 'item' : 'items'} · {formatSessionDate(session.updatedAt)}
+                                    </div>
+                                </button>
+                            )}
+
+                            {editingId !== session.id && (
+                                <div className="hidden group-hover:flex gap-2 mt-1">
+                                    <button
+                                        onClick={() => startRename(session)}
+                                        className="text-[10px] text-slate-500 hover:text-slate-200 transition-colors"
+                                    >
+                                        Rename
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(session)}
+                                        disabled={loading && isActive}
+                                        className="text-[10px] text-slate-500 hover:text-red-400 transition-colors disabled:opacity-40"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default SessionSidebar;
@@ -0,0 +1,172 @@
+/**
+ * UsageDashboard Component
+ * Token usage and estimated cost across saved sessions, grouped per session,
+ * provider or day, with an editable per-provider price table and CSV export
+ */
+
+import React, { useMemo, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import {
+    collectUsageRecords,
+    summarizeUsage,
+    groupUsage,
+    usageToCSV,
+    formatCost,
+    pricedProviders,
+    loadPriceTable,
+    savePriceTable,
+    DEFAULT_PRICES,
+    GROUPINGS,
+} from '../utils/usageStats';
+import { downloadBlob } from '../utils/download';
+
+const formatTokens = (count) => count.toLocaleString();
+
+const SummaryCard = ({ label, value, detail }) => (
+    <div className="bg-slate-800/40 border border-slate-700/50 rounded-xl px-4 py-3">
+        <span className="block text-[10px] font-bold text-slate-500 uppercase tracking-wider">{label}</span>
+        <span className="block text-lg font-black text-white font-mono mt-1">{value}</span>
+        {detail && <span className="block text-[10px] text-slate-500 mt-0.5">{detail}</span>}
+    </div>
+);
+
+const UsageDashboard = ({ onClose }) => {
+    const { sessions } = useApp();
+    const [prices, setPrices] = useState(loadPriceTable);
+    const [grouping, setGrouping] = useState('session');
+
+    const records = useMemo(() => collectUsageRecords(sessions), [sessions]);
+    const totals = useMemo(() => summarizeUsage(records, prices), [records, prices]);
+    const rows = useMemo(() => groupUsage(records, prices, grouping), [records, prices, grouping]);
+
+    const updatePrice = (provider, field, value) => {
+        const price = Math.max(0, Number(value) || 0);
+        const updated = { ...prices, [provider]: { ...(prices[provider] || { input: 0, output: 0 }), [field]: price } };
+        setPrices(updated);
+        savePriceTable(updated);
+    };
+
+    const resetPrices = () => {
+        setPrices({ ...DEFAULT_PRICES });
+        savePriceTable(DEFAULT_PRICES);
+    };
+
+    const handleExportCsv = () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(new Blob([usageToCSV(records, prices)], { type: 'text/csv;charset=utf-8' }), `propgpt_usage_${date}.csv`);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-slate-950/70 backdrop-blur-sm p-6">
+            <div className="w-full max-w-5xl max-h-full flex flex-col bg-slate-900 border border-slate-700/50 rounded-2xl shadow-2xl overflow-hidden">
+                <div className="flex items-center justify-between px-6 py-4 border-b border-slate-700/50 bg-slate-800/50">
+                    <div>
+                        <h2 className="text-sm font-black text-white uppercase tracking-widest">Usage &amp; Cost</h2>
+                        <p className="text-[10px] text-slate-500 mt-0.5">{sessions.length} saved session{sessions.length === 1 ? '' : 's'} · estimates only</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={handleExportCsv}
+                            disabled={records.length === 0}
+                            className="px-3 py-1.5 rounded-lg border border-slate-600 text-[10px] font-bold uppercase tracking-wider text-slate-300 hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                        >
+                            Export CSV
+                        </button>
+                        <button onClick={onClose} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700/50 transition-colors">✕</button>
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto custom-scrollbar p-6 space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        <SummaryCard label="Estimated Cost" value={formatCost(totals.cost)} detail="Uncached runs only" />
+                        <SummaryCard label="Runs" value={totals.runs} detail={`${totals.cachedRuns} served from cache`} />
+                        <SummaryCard
+                            label="Uncached Tokens"
+                            value={formatTokens(totals.inputTokens + totals.outputTokens)}
+                            detail={`${formatTokens(totals.inputTokens)} in / ${formatTokens(totals.outputTokens)} out`}
+                        />
+                        <SummaryCard label="Cached Tokens" value={formatTokens(totals.cachedTokens)} detail="Not billed" />
+                    </div>
+
+                    <div>
+                        <div className="flex gap-2 mb-3">
+                            {Object.entries(GROUPINGS).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setGrouping(id)}
+                                    className={`px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider border transition-colors ${grouping === id
+                                        ? 'border-blue-500/50 bg-blue-500/20 text-blue-300'
+                                        : 'border-slate-700 text-slate-400 hover:text-white hover:bg-slate-700/50'
+                                        }`}
+                                >
+                                    Per {label}
+                                </button>
+                            ))}
+                        </div>
+                        {rows.length === 0 ? (
+                            <p className="text-sm text-slate-500 text-center py-8">No answered queries yet.</p>
+                        ) : (
+                            <div className="overflow-x-auto custom-scrollbar border border-slate-700/50 rounded-lg">
+                                <table className="w-full text-xs">
+                                    <thead className="bg-slate-800/60 text-slate-400 uppercase tracking-wider text-[10px]">
+                                        <tr>
+                                            <th className="text-left px-3 py-2">{GROUPINGS[grouping].label}</th>
+                                            <th className="text-right px-3 py-2">Runs</th>
+                                            <th className="text-right px-3 py-2">Cached</th>
+                                            <th className="text-right px-3 py-2">Input</th>
+                                            <th className="text-right px-3 py-2">Output</th>
+                                            <th className="text-right px-3 py-2">Cached Tokens</th>
+                                            <th className="text-right px-3 py-2">Est. Cost</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="font-mono text-slate-300">
+                                        {rows.map(row => (
+                                            <tr key={row.id} className="border-t border-slate-800 hover:bg-slate-800/30">
+                                                <td className="px-3 py-2 font-sans text-slate-200 max-w-xs truncate" title={row.name}>{row.name}</td>
+                                                <td className="text-right px-3 py-2">{row.runs}</td>
+                                                <td className="text-right px-3 py-2">{row.cachedRuns}</td>
+                                                <td className="text-right px-3 py-2">{formatTokens(row.inputTokens)}</td>
+                                                <td className="text-right px-3 py-2">{formatTokens(row.outputTokens)}</td>
+                                                <td className="text-right px-3 py-2 text-slate-500">{formatTokens(row.cachedTokens)}</td>
+                                                <td className="text-right px-3 py-2 text-emerald-300">{formatCost(row.cost)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <label className="block text-xs font-semibold text-slate-400 uppercase tracking-wider">Prices (USD per 1M tokens)</label>
+                            <button onClick={resetPrices} className="text-[10px] font-bold text-slate-500 hover:text-slate-300 uppercase tracking-wider">Reset</button>
+                        </div>
+                        <div className="space-y-2">
+                            {pricedProviders(records).map(provider => (
+                                <div key={provider} className="grid grid-cols-[1fr_auto_auto] items-center gap-3">
+                                    <span className="text-sm text-slate-200">{provider}</span>
+                                    {['input', 'output'].map(field => (
+                                        <label key={field} className="flex items-center gap-2 text-[10px] text-slate-500 uppercase tracking-wider">
+                                            {field}
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                value={prices[provider]?.[field] ?? 0}
+                                                onChange={(e) => updatePrice(provider, field, e.target.value)}
+                                                className="w-24 rounded-lg border border-slate-700 bg-slate-800/50 py-1 px-2 text-sm text-slate-200 font-mono focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UsageDashboard;
@@ -0,0 +1,130 @@
+/**
+ * YearRangeSelector Component
+ * Dual-thumb slider over the years the backend has data for, with quick presets.
+ * Each selected item gets a row showing which of those years it actually covers.
+ */
+
+import React from 'react';
+
+const PRESETS = [
+    { label: 'Last 3 Years', years: (available) => available.slice(-3) },
+    { label: 'All', years: (available) => available },
+];
+
+const YearRangeSelector = ({ availableYears, selectedYears, onChange, itemYears = {}, selectedItems = [] }) => {
+    if (availableYears.length === 0) {
+        return <div className="text-sm text-slate-500 text-center py-2">Loading years...</div>;
+    }
+
+    const lastIndex = availableYears.length - 1;
+    const startIndex = Math.max(0, availableYears.indexOf(Math.min(...selectedYears)));
+    const endIndexFound = availableYears.indexOf(Math.max(...selectedYears));
+    const endIndex = endIndexFound === -1 ? lastIndex : endIndexFound;
+
+    const selectRange = (from, to) => {
+        onChange(availableYears.slice(Math.min(from, to), Math.max(from, to) + 1));
+    };
+
+    const isPresetActive = (preset) => preset.years(availableYears).join(',') === selectedYears.join(',');
+
+    // Only items the backend reported coverage for get a row
+    const coveredItems = selectedItems.filter(item => itemYears[item]);
+
+    return (
+        <div>
+            <div className="flex gap-2 mb-4">
+                {PRESETS.map(preset => (
+                    <button
+                        key={preset.label}
+                        onClick={() => onChange(preset.years(availableYears))}
+                        className={`text-[10px] font-bold uppercase tracking-wider px-2 py-1 rounded border transition-colors ${isPresetActive(preset)
+                            ? 'border-blue-500/50 bg-blue-500/20 text-blue-300'
+                            : 'border-slate-700 text-slate-400 hover:text-white hover:bg-slate-700/50'
+                            }`}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="relative h-5 mb-1">
+                <div className="absolute top-1/2 -translate-y-1/2 w-full h-1 rounded bg-slate-700"></div>
+                {lastIndex > 0 && (
+                    <div
+                        className="absolute top-1/2 -translate-y-1/2 h-1 rounded bg-blue-500"
+                        style={{
+                            left: `${(startIndex / lastIndex) * 100}%`,
+                            width: `${((endIndex - startIndex) / lastIndex) * 100}%`,
+                        }}
+                    ></div>
+                )}
+                <input
+                    type="range"
+                    min={0}
+                    max={lastIndex}
+                    value={startIndex}
+                    onChange={(e) => selectRange(Math.min(Number(e.target.value), endIndex), endIndex)}
+                    className="range-thumb absolute inset-0 w-full"
+                    aria-label="First year"
+                />
+                <input
+                    type="range"
+                    min={0}
+                    max={lastIndex}
+                    value={endIndex}
+                    onChange={(e) => selectRange(startIndex, Math.max(Number(e.target.value), startIndex))}
+                    className="range-thumb absolute inset-0 w-full"
+                    aria-label="Last year"
+                />
+            </div>
+
+            <div className="flex justify-between text-[10px] font-mono">
+                {availableYears.map((year, index) => (
+                    <span key={year} className={index >= startIndex && index <= endIndex ? 'text-slate-200' : 'text-slate-600'}>
+                        {`'${String(year).slice(-2)}`}
+                    </span>
+                ))}
+            </div>
+            <p className="mt-2 text-xs text-slate-400">
+                {selectedYears.length === 1 ? selectedYears[0] : `${availableYears[startIndex]} – ${availableYears[endIndex]}`}
+            </p>
+
+            {coveredItems.length > 0 && (
+                <div className="mt-4 space-y-2">
+                    <span className="block text-[10px] font-semibold text-slate-500 uppercase tracking-wider">Data Coverage</span>
+                    {coveredItems.map(item => {
+                        const missing = selectedYears.filter(year => !itemYears[item].includes(year));
+                        return (
+                            <div key={item}>
+                                <div className="flex items-center justify-between gap-2">
+                                    <span className="text-xs text-slate-300 truncate">{item}</span>
+                                    <div className="flex gap-0.5 shrink-0">
+                                        {availableYears.map(year => {
+                                            const hasData = itemYears[item].includes(year);
+                                            const inRange = selectedYears.includes(year);
+                                            return (
+                                                <span
+                                                    key={year}
+                                                    title={`${year}: ${hasData ? 'data available' : 'no data'}`}
+                                                    className={`w-2.5 h-2.5 rounded-sm ${hasData
+                                                        ? inRange ? 'bg-emerald-500' : 'bg-emerald-500/30'
+                                                        : inRange ? 'bg-amber-500/60' : 'bg-slate-700'
+                                                        }`}
+                                                ></span>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                                {missing.length > 0 && (
+                                    <p className="text-[10px] text-amber-400/80">No data for {missing.join(', ')}</p>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default YearRangeSelector;
@@ -3,50 +3,266 @@
  * Manages chat state, configuration, and API interactions
  */
 
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import {
+    loadSessions,
+    saveSessions,
+    loadActiveSessionId,
+    saveActiveSessionId,
+    generateId,
+    deriveSessionTitle,
+} from '../utils/sessionStore';
+import { parseShareParams, clearShareParams } from '../utils/shareLink';
 
 const AppContext = createContext();
 
+// Notification history is in-memory only and capped at this many entries
+const MAX_NOTIFICATION_HISTORY = 50;
+
+// Restore the saved sessions and whichever one was open before the last refresh.
+// A share link starts a fresh session with the shared configuration instead.
+// Runs as a state initializer, so it only reads - the share params are cleared after mount.
+const restoreInitialState = () => {
+    const sessions = loadSessions();
+    const shared = parseShareParams(window.location.search);
+    if (shared) {
+        return { sessions, activeSession: null, shared };
+    }
+    const activeId = loadActiveSessionId();
+    const activeSession = sessions.find(s => s.id === activeId) || null;
+    return { sessions, activeSession, shared: null };
+};
+
 export const AppProvider = ({ children }) => {
+    const [initialState] = useState(restoreInitialState);
+    const initialConfig = initialState.activeSession?.config || initialState.shared?.config || {};
+
+    // Session state
+    const [sessions, setSessions] = useState(initialState.sessions);
+    const [activeSessionId, setActiveSessionId] = useState(initialState.activeSession?.id || generateId());
+
     // Chat state
-    const [messages, setMessages] = useState([]);
+    const [messages, setMessages] = useState(initialState.activeSession?.messages || []);
 
     // Configuration state
-    const [comparisonType, setComparisonType] = useState('Location');
-    const [selectedCity, setSelectedCity] = useState('Pune'); // City selection
-    const [availableCities, setAvailableCities] = useState(['Pune']); // Can add more cities here
-    const [selectedItems, setSelectedItems] = useState([]);
-    const [selectedCategories, setSelectedCategories] = useState(['All']);
-    const [selectedYears, setSelectedYears] = useState([2020, 2021, 2022, 2023, 2024]);
-    const [mappingLLMProvider, setMappingLLMProvider] = useState('OpenAI');
-    const [responseLLMProvider, setResponseLLMProvider] = useState('OpenAI');
+    const [comparisonType, setComparisonType] = useState(initialConfig.comparisonType || 'Location');
+    const [selectedCity, setSelectedCity] = useState(initialConfig.selectedCity || 'Pune'); // City selection
+    const [availableCities, setAvailableCities] = useState([initialConfig.selectedCity || 'Pune']); // Replaced by the backend list on load
+    // Shared items wait in pendingSharedItems until the item list confirms they exist
+    const [selectedItems, setSelectedItems] = useState(initialState.activeSession?.config?.selectedItems || []);
+    const [pendingSharedItems, setPendingSharedItems] = useState(initialState.shared?.config.selectedItems
+        ? {
+            city: initialConfig.selectedCity || 'Pune',
+            comparisonType: initialConfig.comparisonType || 'Location',
+            items: initialState.shared.config.selectedItems,
+        }
+        : null);
+    const [selectedCategories, setSelectedCategories] = useState(initialConfig.selectedCategories || ['All']);
+    const [selectedYears, setSelectedYears] = useState(initialConfig.selectedYears || []); // Filled with the backend's available years on load
+    const [mappingLLMProvider, setMappingLLMProvider] = useState(initialConfig.mappingLLMProvider || 'OpenAI');
+    const [responseLLMProvider, setResponseLLMProvider] = useState(initialConfig.responseLLMProvider || 'OpenAI');
+    const [streamResponses, setStreamResponses] = useState(import.meta.env.VITE_ENABLE_STREAMING !== 'false');
+    const [reviewMappingFirst, setReviewMappingFirst] = useState(false); // Approve planner keys before answering
+    const [includeHistory, setIncludeHistory] = useState(false); // Opt-in: send earlier turns with follow-up queries
+    const [compareProviders, setCompareProviders] = useState(false); // Answer with every provider side by side
 
     // UI state
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
+    // Notifications: `notifications` are the toasts on screen, the history keeps every one raised
+    const [notifications, setNotifications] = useState([]);
+    const [notificationHistory, setNotificationHistory] = useState([]);
+
     // Cache state
     const [cacheStats, setCacheStats] = useState(null);
 
     // Available items
     const [availableItems, setAvailableItems] = useState([]);
 
-    // Add message to chat
+    // Query text from a share link's q= parameter, used to prefill the composer
+    const [sharedQuery] = useState(initialState.shared?.query || '');
+
+    // Drop the share parameters once applied, so a refresh restores the session instead
+    useEffect(() => {
+        if (initialState.shared) clearShareParams();
+    }, [initialState]);
+
+    // Snapshot the active session whenever its messages change. The configuration
+    // is captured at the same moment so reopening restores what produced the answers.
+    useEffect(() => {
+        if (messages.length === 0) {
+            // Deleting the last turn empties the session - drop it rather than keep stale messages
+            setSessions(prev => (prev.some(s => s.id === activeSessionId) ? prev.filter(s => s.id !== activeSessionId) : prev));
+            return;
+        }
+        // Wait for a streaming answer to finish instead of saving on every token
+        if (messages[messages.length - 1].metadata?.streaming) return;
+
+        setSessions(prev => {
+            const existing = prev.find(s => s.id === activeSessionId);
+            // Reopening a session hands back the same array - nothing new to save
+            if (existing && existing.messages === messages) return prev;
+
+            const record = {
+                id: activeSessionId,
+                title: existing?.customTitle ? existing.title : deriveSessionTitle(messages),
+                customTitle: existing?.customTitle || false,
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+                config: {
+                    comparisonType,
+                    selectedCity,
+                    selectedItems,
+                    selectedCategories,
+                    selectedYears,
+                    mappingLLMProvider,
+                    responseLLMProvider,
+                },
+                messages,
+            };
+            // Most recently updated session first
+            return [record, ...prev.filter(s => s.id !== activeSessionId)];
+        });
+    }, [messages, activeSessionId]);
+
+    useEffect(() => {
+        saveSessions(sessions);
+    }, [sessions]);
+
+    useEffect(() => {
+        saveActiveSessionId(activeSessionId);
+    }, [activeSessionId]);
+
+    // Add message to chat, returns its id
     const addMessage = (role, content, metadata = {}) => {
-        setMessages(prev => [...prev, { role, content, metadata, timestamp: new Date() }]);
+        const id = generateId();
+        setMessages(prev => [...prev, { id, role, content, metadata, timestamp: new Date() }]);
+        return id;
+    };
+
+    // Patch an existing message (e.g. append streamed text or attach final metadata)
+    const updateMessage = (id, changes) => {
+        setMessages(prev => prev.map(m => (m.id === id ? { ...m, ...changes } : m)));
+    };
+
+    // Rewrite the conversation as a whole (switching branches, deleting a turn)
+    const transformMessages = (transform) => {
+        setMessages(prev => transform(prev));
     };
 
-    // Clear chat
-    const clearChat = () => {
+    // Clear chat - starts a fresh session, the previous one stays in the history
+    const clearChat = useCallback(() => {
         setMessages([]);
+        setActiveSessionId(generateId());
+    }, []);
+
+    // Reopen a saved session together with the configuration that produced it
+    const openSession = (id) => {
+        const session = sessions.find(s => s.id === id);
+        if (!session) return;
+
+        const { config = {} } = session;
+        setPendingSharedItems(null);
+        setActiveSessionId(session.id);
+        setMessages(session.messages);
+        if (config.comparisonType) setComparisonType(config.comparisonType);
+        if (config.selectedCity) setSelectedCity(config.selectedCity);
+        if (config.selectedItems) setSelectedItems(config.selectedItems);
+        if (config.selectedCategories) setSelectedCategories(config.selectedCategories);
+        if (config.selectedYears) setSelectedYears(config.selectedYears);
+        if (config.mappingLLMProvider) setMappingLLMProvider(config.mappingLLMProvider);
+        if (config.responseLLMProvider) setResponseLLMProvider(config.responseLLMProvider);
     };
 
+    const renameSession = (id, title) => {
+        const trimmed = title.trim();
+        if (!trimmed) return;
+        setSessions(prev => prev.map(s => (s.id === id ? { ...s, title: trimmed, customTitle: true } : s)));
+    };
+
+    const deleteSession = (id) => {
+        setSessions(prev => prev.filter(s => s.id !== id));
+        if (id === activeSessionId) {
+            clearChat();
+        }
+    };
+
+    // Undo for deleteSession: put the session back at its old place in the list
+    const restoreSession = (session, index) => {
+        setSessions(prev => (prev.some(s => s.id === session.id)
+            ? prev
+            : [...prev.slice(0, index), session, ...prev.slice(index)]));
+    };
+
+    /**
+     * Show a toast. `level` is 'success' | 'info' | 'warning' | 'error'; `actions` are
+     * [{ label, onClick }] buttons that dismiss the toast when clicked. `duration` (ms)
+     * overrides the per-level auto-dismiss delay, 0 keeps it until dismissed. Returns its id.
+     */
+    const notify = useCallback(({ level = 'info', title, message, actions = [], duration }) => {
+        const notification = { id: generateId(), level, title, message, actions, duration, timestamp: new Date() };
+        setNotifications(prev => [...prev, notification]);
+        // Actions close over state that goes stale, so the history only keeps the text
+        setNotificationHistory(prev => [
+            { id: notification.id, level, title, message, timestamp: notification.timestamp, read: false },
+            ...prev,
+        ].slice(0, MAX_NOTIFICATION_HISTORY));
+        return notification.id;
+    }, []);
+
+    const dismissNotification = useCallback((id) => {
+        setNotifications(prev => prev.filter(n => n.id !== id));
+    }, []);
+
+    const markNotificationsRead = useCallback(() => {
+        setNotificationHistory(prev => (prev.some(n => !n.read) ? prev.map(n => ({ ...n, read: true })) : prev));
+    }, []);
+
+    const clearNotificationHistory = useCallback(() => {
+        setNotificationHistory([]);
+    }, []);
+
+    // Apply a share link's items once the list for its comparison type has loaded,
+    // dropping any that no longer exist
+    useEffect(() => {
+        if (!pendingSharedItems) return;
+        // Switched city or type before the list arrived - the shared items don't apply
+        if (pendingSharedItems.city !== selectedCity || pendingSharedItems.comparisonType !== comparisonType) {
+            setPendingSharedItems(null);
+            return;
+        }
+        if (availableItems.length === 0) return;
+
+        const validItems = pendingSharedItems.items.filter(item => availableItems.includes(item));
+        const missingItems = pendingSharedItems.items.filter(item => !availableItems.includes(item));
+        setSelectedItems(validItems);
+        setPendingSharedItems(null);
+        if (missingItems.length) {
+            notify({
+                level: 'warning',
+                title: 'Shared link',
+                message: `Not available in ${selectedCity} (${comparisonType}): ${missingItems.join(', ')}`,
+            });
+        }
+    }, [pendingSharedItems, availableItems, selectedCity, comparisonType, notify]);
+
     const value = {
         // Chat
         messages,
         addMessage,
+        updateMessage,
+        transformMessages,
         clearChat,
 
+        // Sessions
+        sessions,
+        activeSessionId,
+        openSession,
+        renameSession,
+        deleteSession,
+        restoreSession,
+
         // Configuration
         comparisonType,
         setComparisonType,
@@ -64,6 +280,14 @@ export const AppProvider = ({ children }) => {
         setMappingLLMProvider,
         responseLLMProvider,
         setResponseLLMProvider,
+        streamResponses,
+        setStreamResponses,
+        reviewMappingFirst,
+        setReviewMappingFirst,
+        includeHistory,
+        setIncludeHistory,
+        compareProviders,
+        setCompareProviders,
 
         // UI
         loading,
@@ -71,6 +295,14 @@ export const AppProvider = ({ children }) => {
         error,
         setError,
 
+        // Notifications
+        notifications,
+        notificationHistory,
+        notify,
+        dismissNotification,
+        markNotificationsRead,
+        clearNotificationHistory,
+
         // Cache
         cacheStats,
         setCacheStats,
@@ -78,6 +310,9 @@ export const AppProvider = ({ children }) => {
         // Items
         availableItems,
         setAvailableItems,
+
+        // Share links
+        sharedQuery,
     };
 
     return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
@@ -0,0 +1,90 @@
+/**
+ * Conversation Branches
+ * Editing or regenerating a past turn starts a new version of the conversation from
+ * that user message. The conversation stays a flat message list: the user message
+ * heading a branch point keeps the other versions in metadata.branches (one message
+ * list per version, null for the version currently shown) and metadata.branchIndex.
+ */
+
+import { generateId, reviveMessages } from './sessionStore';
+
+const withoutBranches = (message) => {
+    const { branches, branchIndex, ...metadata } = message.metadata || {};
+    return { ...message, metadata };
+};
+
+// Index just past the answers of the turn started by the user message at userIndex
+export const turnEnd = (messages, userIndex) => {
+    let end = userIndex + 1;
+    while (end < messages.length && messages[end].role !== 'user') end += 1;
+    return end;
+};
+
+// The user message an answer belongs to, or -1
+export const turnStart = (messages, index) => {
+    for (let i = index; i >= 0; i -= 1) {
+        if (messages[i].role === 'user') return i;
+    }
+    return -1;
+};
+
+export const branchInfo = (message) => {
+    const { branches, branchIndex = 0 } = message.metadata || {};
+    return { count: branches?.length || 1, current: branchIndex };
+};
+
+// The shown version, stored the way hidden versions are
+const snapshotFrom = (messages, userIndex) => [withoutBranches(messages[userIndex]), ...messages.slice(userIndex + 1)];
+
+/**
+ * Keep everything from the user message onwards as a hidden version and continue with
+ * a copy of that message carrying the (possibly edited) query. The caller runs the query.
+ */
+export const startBranch = (messages, userIndex, content) => {
+    const message = messages[userIndex];
+    const { branches = [null], branchIndex = 0 } = message.metadata || {};
+    const saved = branches.map((branch, i) => (i === branchIndex ? snapshotFrom(messages, userIndex) : branch));
+
+    return [
+        ...messages.slice(0, userIndex),
+        {
+            ...withoutBranches(message),
+            id: generateId(),
+            content,
+            timestamp: new Date(),
+            metadata: { ...withoutBranches(message).metadata, branches: [...saved, null], branchIndex: saved.length },
+        },
+    ];
+};
+
+// Swap the shown version at a user message for another one
+export const switchBranch = (messages, userIndex, target) => {
+    const message = messages[userIndex];
+    const { branches, branchIndex = 0 } = message.metadata || {};
+    if (!branches?.[target] || target === branchIndex) return messages;
+
+    const saved = branches.map((branch, i) => {
+        if (i === branchIndex) return snapshotFrom(messages, userIndex);
+        return i === target ? null : branch;
+    });
+    // Hidden versions went through JSON with the session, so their dates are strings
+    const [first, ...rest] = reviveMessages(branches[target]);
+
+    return [
+        ...messages.slice(0, userIndex),
+        { ...first, metadata: { ...first.metadata, branches: saved, branchIndex: target } },
+        ...rest,
+    ];
+};
+
+// Remove a user message with its answers. Its other versions go with it.
+export const deleteTurn = (messages, userIndex) => [
+    ...messages.slice(0, userIndex),
+    ...messages.slice(turnEnd(messages, userIndex)),
+];
+
+// Every message in every version, e.g. for usage totals that should include hidden answers
+export const allMessageVersions = (messages) => messages.flatMap(message => [
+    message,
+    ...(message.metadata?.branches || []).filter(Boolean).flatMap(allMessageVersions),
+]);
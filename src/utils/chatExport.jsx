@@ -0,0 +1,159 @@
+/**
+ * Chat Export
+ * Client-side export of the current conversation to Markdown, JSON and self-contained HTML
+ */
+
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { normalizeResponseMarkdown } from './markdown';
+
+// Cancelled notices and placeholders carry no analysis worth exporting
+const exportableMessages = (messages) => messages.filter(m => !m.metadata?.cancelled);
+
+const describeConfig = (config) => [
+    ['City', config.selectedCity],
+    ['Comparison Type', config.comparisonType],
+    ['Items', config.selectedItems?.join(', ')],
+    ['Categories', config.selectedCategories?.join(', ')],
+    ['Years', config.comparisonType?.toLowerCase() === 'project' ? null : config.selectedYears?.join(', ')],
+    ['Mapping LLM', config.mappingLLMProvider],
+    ['Response LLM', config.responseLLMProvider],
+].filter(([, value]) => value);
+
+const describeMetadata = (metadata = {}) => [
+    metadata.mappingKeys?.length ? `Mapping keys: ${metadata.mappingKeys.join(', ')}` : null,
+    metadata.inputTokens || metadata.outputTokens
+        ? `Tokens: ${metadata.inputTokens || 0} in / ${metadata.outputTokens || 0} out`
+        : null,
+    metadata.cached ? 'Served from cache' : null,
+].filter(Boolean);
+
+/**
+ * Structured export: messages with their analysis metadata plus the configuration
+ * @param {{ title: string, config: object, messages: Array }} chat
+ */
+export const exportChatToJSON = ({ title, config, messages }) => JSON.stringify({
+    title,
+    exportedAt: new Date().toISOString(),
+    config,
+    messages: exportableMessages(messages).map(m => ({
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        timestamp: m.timestamp instanceof Date ? m.timestamp.toISOString() : m.timestamp,
+        metadata: {
+            mappingKeys: m.metadata?.mappingKeys,
+            selectedColumns: m.metadata?.selectedColumns,
+            columnsWithSources: m.metadata?.columnsWithSources,
+            inputTokens: m.metadata?.inputTokens,
+            outputTokens: m.metadata?.outputTokens,
+            cached: m.metadata?.cached,
+            comparison: m.metadata?.results,
+        },
+    })),
+}, null, 2);
+
+export const exportChatToMarkdown = ({ title, config, messages }) => {
+    const lines = [`# ${title}`, ''];
+    describeConfig(config).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    lines.push(`- **Exported:** ${new Date().toLocaleString()}`, '', '---', '');
+
+    let questionNumber = 0;
+    exportableMessages(messages).forEach(message => {
+        if (message.role === 'user') {
+            questionNumber += 1;
+            lines.push(`## Q${questionNumber}. ${message.content}`, '');
+        } else if (message.role === 'assistant') {
+            lines.push(normalizeResponseMarkdown(message.content).trim(), '');
+            const details = describeMetadata(message.metadata);
+            if (details.length) {
+                lines.push(`> ${details.join(' · ')}`, '');
+            }
+            if (message.metadata?.columnsWithSources?.length) {
+                lines.push('<details><summary>Data sources</summary>', '');
+                message.metadata.columnsWithSources.forEach(({ column, source }) => {
+                    lines.push(`- ${column} (${source || 'Unknown'})`);
+                });
+                lines.push('', '</details>', '');
+            }
+        } else if (message.role === 'comparison') {
+            message.metadata.results.forEach(result => {
+                lines.push(`### ${result.provider}`, '');
+                lines.push(result.error ? `> ⚠️ ${result.error.message}` : normalizeResponseMarkdown(result.content).trim(), '');
+                const details = [`Latency: ${result.latencyMs}ms`, ...describeMetadata(result.metadata)];
+                lines.push(`> ${details.join(' · ')}`, '');
+            });
+        } else {
+            lines.push(`> ⚠️ ${message.content}`, '');
+        }
+    });
+
+    return lines.join('\n');
+};
+
+const EXPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 960px; margin: 40px auto; padding: 0 24px; color: #1e293b; line-height: 1.6; }
+    h1 { border-bottom: 2px solid #2563eb; padding-bottom: 8px; }
+    .config { background: #f1f5f9; border-radius: 8px; padding: 12px 20px; font-size: 14px; }
+    .question { background: #2563eb; color: #fff; border-radius: 12px; padding: 12px 18px; margin: 32px 0 12px; font-weight: 600; }
+    .answer { border: 1px solid #e2e8f0; border-radius: 12px; padding: 8px 20px; }
+    .error { color: #b91c1c; background: #fef2f2; border-radius: 8px; padding: 8px 16px; }
+    .meta { font-size: 12px; color: #64748b; border-top: 1px solid #e2e8f0; margin-top: 12px; padding-top: 8px; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0; font-size: 14px; }
+    th, td { border: 1px solid #cbd5e1; padding: 6px 10px; text-align: left; }
+    th { background: #f1f5f9; }
+`;
+
+const ExportDocument = ({ title, config, messages }) => (
+    <>
+        <h1>{title}</h1>
+        <ul className="config">
+            {describeConfig(config).map(([label, value]) => (
+                <li key={label}><strong>{label}:</strong> {value}</li>
+            ))}
+        </ul>
+        {exportableMessages(messages).map((message, index) => (
+            message.role === 'user' ? (
+                <div key={index} className="question">{message.content}</div>
+            ) : message.role === 'assistant' ? (
+                <div key={index} className="answer">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{normalizeResponseMarkdown(message.content)}</ReactMarkdown>
+                    {describeMetadata(message.metadata).length > 0 && (
+                        <div className="meta">{describeMetadata(message.metadata).join(' · ')}</div>
+                    )}
+                </div>
+            ) : message.role === 'comparison' ? (
+                message.metadata.results.map(result => (
+                    <div key={`${index}-${result.provider}`} className="answer">
+                        <h3>{result.provider}</h3>
+                        {result.error ? (
+                            <div className="error">⚠️ {result.error.message}</div>
+                        ) : (
+                            <ReactMarkdown remarkPlugins={[remarkGfm]}>{normalizeResponseMarkdown(result.content)}</ReactMarkdown>
+                        )}
+                        <div className="meta">{[`Latency: ${result.latencyMs}ms`, ...describeMetadata(result.metadata)].join(' · ')}</div>
+                    </div>
+                ))
+            ) : (
+                <div key={index} className="error">⚠️ {message.content}</div>
+            )
+        ))}
+    </>
+);
+
+const escapeHtml = (text) => text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+export const exportChatToHTML = (chat) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(chat.title)}</title>
+<style>${EXPORT_STYLES}</style>
+</head>
+<body>
+${renderToStaticMarkup(<ExportDocument {...chat} />)}
+</body>
+</html>
+`;
@@ -0,0 +1,73 @@
+/**
+ * Conversation Context
+ * Picks the earlier turns sent with a query as `history`, so follow-ups such as
+ * "and what about 2023?" can be answered. The most recent turns are sent by default;
+ * a turn can be pinned (always sent) or excluded (never sent) via metadata.context
+ * on its user message.
+ */
+
+export const CONTEXT_MODES = {
+    pinned: 'pinned',
+    excluded: 'excluded',
+};
+
+// Bounds on what is sent: recent turns, pinned turns on top of those, and answer length
+export const MAX_RECENT_TURNS = 3;
+export const MAX_PINNED_TURNS = 3;
+const MAX_ANSWER_CHARS = 2000;
+
+// A compare-providers turn is represented by its first successful answer
+const comparisonAnswer = (message) => {
+    const result = (message.metadata?.results || []).find(r => !r.error);
+    return result ? { content: result.content, metadata: result.metadata || {} } : null;
+};
+
+// Completed turns before endIndex: each user query with its last successful answer
+const answeredTurns = (messages, endIndex) => {
+    const turns = [];
+    messages.slice(0, endIndex).forEach((message, index) => {
+        if (message.role === 'user') {
+            turns.push({ index, message, answer: null });
+            return;
+        }
+        const turn = turns[turns.length - 1];
+        if (!turn) return;
+        if (message.role === 'assistant' && !message.metadata?.cancelled && !message.metadata?.streaming) {
+            turn.answer = message;
+        } else if (message.role === 'comparison') {
+            turn.answer = comparisonAnswer(message) || turn.answer;
+        }
+    });
+    return turns.filter(turn => turn.answer);
+};
+
+/**
+ * The turns that go into the context of a query asked at endIndex, oldest first.
+ * Each is { index, message, answer, pinned } where index is the user message's position.
+ */
+export const contextTurns = (messages, endIndex = messages.length) => {
+    const turns = answeredTurns(messages, endIndex)
+        .filter(turn => turn.message.metadata?.context !== CONTEXT_MODES.excluded);
+    const pinned = turns
+        .filter(turn => turn.message.metadata?.context === CONTEXT_MODES.pinned)
+        .slice(-MAX_PINNED_TURNS);
+    const recent = turns
+        .filter(turn => turn.message.metadata?.context !== CONTEXT_MODES.pinned)
+        .slice(-MAX_RECENT_TURNS);
+
+    return [...pinned, ...recent]
+        .sort((a, b) => a.index - b.index)
+        .map(turn => ({ ...turn, pinned: pinned.includes(turn) }));
+};
+
+const truncate = (text = '', limit) => (text.length > limit ? `${text.slice(0, limit)}…` : text);
+
+// `history` field of the /query/ payload: alternating user and assistant entries
+export const toHistoryPayload = (turns) => turns.flatMap(turn => [
+    { role: 'user', content: turn.message.content },
+    {
+        role: 'assistant',
+        content: truncate(turn.answer.content, MAX_ANSWER_CHARS),
+        mapping_keys: turn.answer.metadata?.mappingKeys || [],
+    },
+]);
@@ -0,0 +1,19 @@
+/**
+ * Download Helper
+ * Saves a Blob to disk through a temporary object URL
+ */
+
+export const downloadBlob = (blob, filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.parentNode.removeChild(link);
+    window.URL.revokeObjectURL(url);
+};
+
+// Lowercase, dash-separated fragment safe for file names
+export const slugify = (text, fallback = 'export') =>
+    (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || fallback;
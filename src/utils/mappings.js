@@ -0,0 +1,19 @@
+/**
+ * Mapping Helpers
+ * Normalizes /mappings/load/ responses into { mappingKey: [columns] }
+ */
+
+// /mappings/load/ returns either { mappings: { key: [columns] } } or a flat list of keys
+export const extractMappings = (data) => {
+    const source = data?.mappings || data?.mapping || data?.candidate_keys || data?.keys || {};
+    if (Array.isArray(source)) {
+        return Object.fromEntries(source.map(key => [key, []]));
+    }
+    return Object.fromEntries(
+        Object.entries(source).map(([key, columns]) => [key, Array.isArray(columns) ? columns : Object.keys(columns || {})])
+    );
+};
+
+// Unique columns behind a set of mapping keys
+export const columnsForKeys = (mappings, keys = []) =>
+    [...new Set(keys.flatMap(key => mappings[key] || []))];
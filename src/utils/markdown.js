@@ -0,0 +1,28 @@
+/**
+ * Markdown Helpers
+ * Cleanup applied to LLM responses before they are rendered or exported
+ */
+
+export const normalizeResponseMarkdown = (content = '') =>
+    content
+        // Convert [Header] to ### Header
+        .replace(/^\[(.*?)\]$/gm, '### $1')
+        // Ensure newlines after headers if they are sticking to text
+        .replace(/### (.*?)\n(?!\n)/g, '### $1\n\n');
+
+// Plain text for pasting outside a markdown renderer: table cells become tab-separated
+export const markdownToPlainText = (content = '') =>
+    normalizeResponseMarkdown(content)
+        // Table separator rows carry no text
+        .replace(/^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*\n?/gm, '')
+        .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (row, cells) => cells.split('|').map(cell => cell.trim()).join('\t'))
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^[ \t]*>[ \t]?/gm, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\*\*(.*?)\*\*/g, '$1')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+        // Underscores only at word boundaries, so snake_case keys survive
+        .replace(/(^|\W)__?(\S(?:.*?\S)?)__?(?=\W|$)/gm, '$1$2')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
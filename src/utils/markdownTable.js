@@ -0,0 +1,107 @@
+/**
+ * Markdown Table Parsing
+ * Extracts pipe-delimited tables from LLM responses for charts and exports
+ */
+
+const isTableLine = (line) => {
+    const trimmed = line.trim();
+    return trimmed.startsWith('|') && trimmed.endsWith('|');
+};
+
+// GFM also allows tables without outer pipes ("A | B" / "--- | ---"), recognised by their divider row
+const isPipelessDivider = (line) => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(line || '');
+
+const continuesPipelessTable = (line) => line.includes('|') && line.trim() !== '';
+
+const isDividerLine = (line) => line.includes('---') || line.includes(':--');
+
+const splitRow = (line) =>
+    line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+// Headings we treat as a table's title: "## Supply", "[Supply]" or a line that is only "**Supply**"
+const matchHeading = (line) => {
+    const trimmed = line.trim();
+    const match = trimmed.match(/^#{1,6}\s+(.+)$/)
+        || trimmed.match(/^\[(.+)\]$/)
+        || trimmed.match(/^\*\*(.+?)\*\*:?$/);
+    return match ? match[1].replace(/[*_`]/g, '').trim() : null;
+};
+
+// Turn one contiguous block of table lines into { headers, data }
+const parseTableBlock = (tableLines) => {
+    // At least header, divider and one row
+    if (tableLines.length < 3) return null;
+
+    // Find the divider line (contains --- or :--: or --:)
+    let dividerIndex = -1;
+    for (let i = 0; i < Math.min(3, tableLines.length); i++) {
+        if (isDividerLine(tableLines[i])) {
+            dividerIndex = i;
+            break;
+        }
+    }
+    if (dividerIndex < 1) return null;
+
+    const headers = splitRow(tableLines[dividerIndex - 1]);
+    const data = tableLines
+        .slice(dividerIndex + 1)
+        .map(splitRow)
+        .filter(row => row.length === headers.length);
+
+    if (data.length === 0) return null;
+    return { headers, data };
+};
+
+/**
+ * Parse every markdown table in a block of text.
+ * Each table is titled with the nearest heading above it, falling back to "Table N".
+ * @returns {Array<{ title: string, headers: string[], data: string[][] }>}
+ */
+export const parseMarkdownTables = (md) => {
+    if (!md) return [];
+
+    const lines = md.split('\n');
+    const tables = [];
+    let currentHeading = null;
+    let block = [];
+
+    const flushBlock = () => {
+        if (block.length === 0) return;
+        const table = parseTableBlock(block);
+        if (table) {
+            tables.push({ title: currentHeading || `Table ${tables.length + 1}`, ...table });
+        }
+        block = [];
+    };
+
+    let pipeless = false;
+
+    lines.forEach((line, index) => {
+        if (pipeless && continuesPipelessTable(line)) {
+            block.push(line);
+            return;
+        }
+        pipeless = false;
+
+        if (isTableLine(line)) {
+            block.push(line);
+            return;
+        }
+
+        if (continuesPipelessTable(line) && isPipelessDivider(lines[index + 1])) {
+            flushBlock();
+            pipeless = true;
+            block.push(line);
+            return;
+        }
+
+        flushBlock();
+        const heading = matchHeading(line);
+        if (heading) currentHeading = heading;
+    });
+    flushBlock();
+
+    return tables;
+};
+
+export const hasMarkdownTable = (md) => parseMarkdownTables(md).length > 0;
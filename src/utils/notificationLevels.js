@@ -0,0 +1,33 @@
+/**
+ * Notification Levels
+ * Icon, colours and auto-dismiss delay for each toast level
+ */
+
+export const NOTIFICATION_LEVELS = {
+    success: {
+        icon: '✓',
+        accent: 'text-emerald-400',
+        border: 'border-emerald-500/30',
+        duration: 4000,
+    },
+    info: {
+        icon: 'ℹ',
+        accent: 'text-blue-400',
+        border: 'border-blue-500/30',
+        duration: 5000,
+    },
+    warning: {
+        icon: '!',
+        accent: 'text-amber-400',
+        border: 'border-amber-500/30',
+        duration: 6000,
+    },
+    error: {
+        icon: '✕',
+        accent: 'text-red-400',
+        border: 'border-red-500/30',
+        duration: 8000,
+    },
+};
+
+export const levelStyle = (level) => NOTIFICATION_LEVELS[level] || NOTIFICATION_LEVELS.info;
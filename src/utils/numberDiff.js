@@ -0,0 +1,59 @@
+/**
+ * Number Diff
+ * Finds the figures that appear in one answer but not the other, and a remark
+ * plugin that wraps them in <mark> when the answer is rendered
+ */
+
+// 12,345 / 12.5 / -3 / 45% - commas are thousands separators, so they're ignored when comparing
+const NUMBER_PATTERN = /-?\d[\d,]*(?:\.\d+)?%?/g;
+
+const normalizeNumber = (raw) => raw.replace(/,/g, '').replace(/\.0+(%?)$/, '$1');
+
+// Set of normalized numbers mentioned in a text
+export const extractNumbers = (text) =>
+    new Set((text || '').match(NUMBER_PATTERN)?.map(normalizeNumber) || []);
+
+// Numbers in `text` that the other answer never mentions
+export const differingNumbers = (text, otherNumbers) =>
+    [...extractNumbers(text)].filter(number => !otherNumbers.has(number));
+
+const splitTextNode = (node, otherNumbers, className) => {
+    const children = [];
+    let lastIndex = 0;
+    for (const match of node.value.matchAll(NUMBER_PATTERN)) {
+        if (otherNumbers.has(normalizeNumber(match[0]))) continue;
+        if (match.index > lastIndex) {
+            children.push({ type: 'text', value: node.value.slice(lastIndex, match.index) });
+        }
+        // Unknown mdast node with hName - rendered by remark-rehype as <mark>
+        children.push({
+            type: 'differingNumber',
+            data: { hName: 'mark', hProperties: { className } },
+            children: [{ type: 'text', value: match[0] }],
+        });
+        lastIndex = match.index + match[0].length;
+    }
+    if (children.length === 0) return [node];
+    if (lastIndex < node.value.length) {
+        children.push({ type: 'text', value: node.value.slice(lastIndex) });
+    }
+    return children;
+};
+
+const highlightChildren = (node, otherNumbers, className) => {
+    if (!node.children) return;
+    node.children = node.children.flatMap(child => {
+        if (child.type === 'text') return splitTextNode(child, otherNumbers, className);
+        // Code is quoted verbatim, leave it alone
+        if (child.type !== 'code' && child.type !== 'inlineCode') highlightChildren(child, otherNumbers, className);
+        return [child];
+    });
+};
+
+/**
+ * remark plugin: highlight every number missing from `otherNumbers` (from extractNumbers)
+ * @example <ReactMarkdown remarkPlugins={[remarkGfm, [remarkHighlightNumbers, { otherNumbers }]]}>
+ */
+export function remarkHighlightNumbers({ otherNumbers, className = 'number-diff' }) {
+    return (tree) => highlightChildren(tree, otherNumbers, className);
+}
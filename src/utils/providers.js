@@ -0,0 +1,12 @@
+/**
+ * LLM Providers
+ * Display names offered in the configuration, and their backend parameter form
+ */
+
+export const LLM_PROVIDERS = ['OpenAI', 'Google Gemini'];
+
+// "Google Gemini" -> "google_gemini"
+export const toProviderParam = (provider) => provider.toLowerCase().replace(' ', '_');
+
+// "google_gemini" -> "Google Gemini"; unknown values are returned unchanged
+export const fromProviderParam = (param) => LLM_PROVIDERS.find(provider => toProviderParam(provider) === param) || param;
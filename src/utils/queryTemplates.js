@@ -0,0 +1,146 @@
+/**
+ * Query Templates
+ * Reusable questions with {placeholders} filled from the current configuration.
+ * Built-in templates plus the team's own, saved to localStorage and shared as JSON files.
+ */
+
+const CUSTOM_TEMPLATES_KEY = 'propgpt.queryTemplates';
+const EXPORT_VERSION = 1;
+
+export const TEMPLATE_TYPES = ['Any', 'Location', 'City', 'Project'];
+export const TEMPLATE_CATEGORIES = ['General', 'Supply', 'Demand', 'Price', 'Demographics'];
+
+// Placeholder -> description and how it is filled from the configuration
+export const PLACEHOLDERS = {
+    items: { description: 'Selected items', fill: config => joinList(config.selectedItems) },
+    city: { description: 'Selected city', fill: config => config.selectedCity },
+    years: { description: 'Selected years', fill: config => describeYears(config) },
+    categories: { description: 'Selected categories', fill: config => joinList(config.selectedCategories) },
+    type: { description: 'Comparison type', fill: config => config.comparisonType?.toLowerCase() },
+};
+
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'builtin-price-absorption',
+        name: 'Price & absorption trend',
+        text: 'Compare price per sqft and absorption for {items} over {years}',
+        comparisonType: 'Any',
+        category: 'Price',
+    },
+    {
+        id: 'builtin-supply-pipeline',
+        name: 'Supply pipeline',
+        text: 'How has new supply (units launched) changed for {items} in {city} over {years}?',
+        comparisonType: 'Location',
+        category: 'Supply',
+    },
+    {
+        id: 'builtin-demand-drivers',
+        name: 'Demand drivers',
+        text: 'Which of {items} shows the strongest demand over {years}, and what is driving it?',
+        comparisonType: 'Any',
+        category: 'Demand',
+    },
+    {
+        id: 'builtin-project-snapshot',
+        name: 'Project snapshot',
+        text: 'Give a side-by-side snapshot of {items}: pricing, unit mix, sales velocity and unsold inventory',
+        comparisonType: 'Project',
+        category: 'General',
+    },
+];
+
+// "A", "A and B", "A, B and C"
+const joinList = (values = []) => {
+    if (values.length <= 1) return values[0] || '';
+    return `${values.slice(0, -1).join(', ')} and ${values[values.length - 1]}`;
+};
+
+// Contiguous selections read as a range; projects have no year filter
+const describeYears = ({ comparisonType, selectedYears = [] }) => {
+    if (comparisonType === 'Project' || selectedYears.length === 0) return 'all available years';
+    const years = [...selectedYears].sort();
+    if (years.length === 1) return String(years[0]);
+    const contiguous = years.every((year, i) => i === 0 || year === years[i - 1] + 1);
+    return contiguous ? `${years[0]}–${years[years.length - 1]}` : joinList(years.map(String));
+};
+
+// Unknown placeholders are left in place so they stand out in the composer
+export const fillTemplate = (text, config) => text.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = PLACEHOLDERS[name]?.fill(config);
+    return value || match;
+});
+
+export const templatesForType = (templates, comparisonType) =>
+    templates.filter(template => template.comparisonType === 'Any' || template.comparisonType === comparisonType);
+
+// { category: [templates] } in TEMPLATE_CATEGORIES order, then any other categories
+export const groupByCategory = (templates) => {
+    const groups = new Map(TEMPLATE_CATEGORIES.map(category => [category, []]));
+    templates.forEach(template => {
+        const category = template.category || 'General';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(template);
+    });
+    return [...groups.entries()].filter(([, list]) => list.length > 0);
+};
+
+export const loadCustomTemplates = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_TEMPLATES_KEY)) || [];
+    } catch (error) {
+        console.error('Failed to load query templates:', error);
+        return [];
+    }
+};
+
+export const saveCustomTemplates = (templates) => {
+    try {
+        localStorage.setItem(CUSTOM_TEMPLATES_KEY, JSON.stringify(templates));
+    } catch (error) {
+        console.error('Failed to save query templates:', error);
+    }
+};
+
+export const exportTemplates = (templates) => JSON.stringify({
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(({ name, text, comparisonType, category }) => ({ name, text, comparisonType, category })),
+}, null, 2);
+
+/**
+ * Validate an exported file (or a bare array of templates). Throws an Error with a
+ * user-facing message when nothing usable is found; invalid entries are skipped.
+ */
+export const parseTemplateImport = (json) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.templates;
+    if (!Array.isArray(entries)) throw new Error('No "templates" list found in the file.');
+
+    const templates = entries
+        .filter(entry => typeof entry?.name === 'string' && entry.name.trim() && typeof entry?.text === 'string' && entry.text.trim())
+        .map(entry => ({
+            name: entry.name.trim(),
+            text: entry.text.trim(),
+            comparisonType: TEMPLATE_TYPES.includes(entry.comparisonType) ? entry.comparisonType : 'Any',
+            category: typeof entry.category === 'string' && entry.category.trim() ? entry.category.trim() : 'General',
+        }));
+    if (templates.length === 0) throw new Error('The file contains no valid templates.');
+    return templates;
+};
+
+// Imported templates replace saved ones with the same name and type
+export const mergeTemplates = (existing, imported, makeId) => {
+    const sameTemplate = (a, b) => a.name.toLowerCase() === b.name.toLowerCase() && a.comparisonType === b.comparisonType;
+    const kept = existing.filter(template => !imported.some(entry => sameTemplate(template, entry)));
+    return [...kept, ...imported.map(entry => ({
+        ...entry,
+        id: existing.find(template => sameTemplate(template, entry))?.id || makeId(),
+    }))];
+};
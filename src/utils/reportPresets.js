@@ -0,0 +1,46 @@
+/**
+ * Report Presets
+ * Built-in structured report presets plus user presets saved to localStorage
+ */
+
+const CUSTOM_PRESETS_KEY = 'propgpt.reportPresets';
+
+// Every section the structured report generator understands, in its default order
+export const REPORT_SECTIONS = [
+    'Executive Summary',
+    'Market Overview',
+    'Charts & Visuals',
+    'Investment Advisory',
+    'Strategic Synthesis',
+    'Detailed Intelligence Analysis',
+];
+
+export const BUILT_IN_PRESETS = [
+    {
+        id: 'quick',
+        name: 'Quick Report',
+        sections: ['Executive Summary', 'Market Overview', 'Charts & Visuals'],
+    },
+    {
+        id: 'institutional',
+        name: 'Institutional Grade',
+        sections: REPORT_SECTIONS,
+    },
+];
+
+export const loadCustomPresets = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY)) || [];
+    } catch (error) {
+        console.error('Failed to load report presets:', error);
+        return [];
+    }
+};
+
+export const saveCustomPresets = (presets) => {
+    try {
+        localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.error('Failed to save report presets:', error);
+    }
+};
@@ -0,0 +1,7 @@
+/**
+ * Selection Limits
+ * Shared by every place that adds items to the selection
+ */
+
+// Items compared in one query
+export const MAX_SELECTED_ITEMS = 5;
@@ -0,0 +1,53 @@
+/**
+ * Session Store
+ * Persists chat sessions (messages + the configuration that produced them) to localStorage
+ */
+
+const SESSIONS_KEY = 'propgpt.sessions';
+const ACTIVE_SESSION_KEY = 'propgpt.activeSessionId';
+
+// Messages carry Date timestamps, which JSON turns into strings
+export const reviveMessages = (messages = []) =>
+    messages.map(message => ({ ...message, timestamp: new Date(message.timestamp) }));
+
+export const loadSessions = () => {
+    try {
+        const raw = localStorage.getItem(SESSIONS_KEY);
+        if (!raw) return [];
+        return JSON.parse(raw).map(session => ({
+            ...session,
+            messages: reviveMessages(session.messages),
+        }));
+    } catch (error) {
+        console.error('Failed to load saved sessions:', error);
+        return [];
+    }
+};
+
+export const saveSessions = (sessions) => {
+    try {
+        localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (error) {
+        // Quota exceeded or storage disabled - keep working in memory
+        console.error('Failed to save sessions:', error);
+    }
+};
+
+export const loadActiveSessionId = () => localStorage.getItem(ACTIVE_SESSION_KEY);
+
+export const saveActiveSessionId = (id) => {
+    if (id) {
+        localStorage.setItem(ACTIVE_SESSION_KEY, id);
+    } else {
+        localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+};
+
+export const generateId = () =>
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Use the first user question as the default session title
+export const deriveSessionTitle = (messages) => {
+    const firstQuery = messages.find(m => m.role === 'user')?.content || 'New analysis';
+    return firstQuery.length > 60 ? `${firstQuery.slice(0, 57)}...` : firstQuery;
+};
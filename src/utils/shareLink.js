@@ -0,0 +1,84 @@
+/**
+ * Share Links
+ * Serializes the analysis configuration to a URL query string and back, so a
+ * comparison can be opened by someone else with the same settings
+ */
+
+import { LLM_PROVIDERS } from './providers';
+import { MAX_SELECTED_ITEMS } from './selection';
+
+const COMPARISON_TYPES = ['Location', 'City', 'Project'];
+
+// URL parameter for each configuration field
+const PARAMS = {
+    city: 'city',
+    comparisonType: 'type',
+    items: 'item',
+    categories: 'category',
+    years: 'years',
+    mappingLLMProvider: 'mapping_llm',
+    responseLLMProvider: 'response_llm',
+    query: 'q',
+};
+
+const pickAllowed = (value, allowed) => allowed.find(option => option.toLowerCase() === value?.toLowerCase());
+
+/**
+ * Build a link to the current page carrying the configuration (and optionally a query).
+ * Items and categories repeat their parameter so names containing commas survive.
+ */
+export const buildShareUrl = (config, query = '') => {
+    const params = new URLSearchParams();
+    if (config.selectedCity) params.set(PARAMS.city, config.selectedCity);
+    params.set(PARAMS.comparisonType, config.comparisonType);
+    config.selectedItems.forEach(item => params.append(PARAMS.items, item));
+    config.selectedCategories.forEach(category => params.append(PARAMS.categories, category));
+    if (config.comparisonType !== 'Project' && config.selectedYears.length) {
+        params.set(PARAMS.years, config.selectedYears.join(','));
+    }
+    params.set(PARAMS.mappingLLMProvider, config.mappingLLMProvider);
+    params.set(PARAMS.responseLLMProvider, config.responseLLMProvider);
+    if (query.trim()) params.set(PARAMS.query, query.trim());
+
+    return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+};
+
+/**
+ * Read a shared configuration from a query string. Returns null when the URL isn't a
+ * share link; otherwise only the fields present (and valid) are set. Items are returned
+ * as-is - they can only be checked once the item list for the type has loaded.
+ */
+export const parseShareParams = (search) => {
+    const params = new URLSearchParams(search);
+    const hasConfig = Object.values(PARAMS).some(name => params.has(name));
+    if (!hasConfig) return null;
+
+    const config = {};
+    const comparisonType = pickAllowed(params.get(PARAMS.comparisonType), COMPARISON_TYPES);
+    if (comparisonType) config.comparisonType = comparisonType;
+    if (params.get(PARAMS.city)) config.selectedCity = params.get(PARAMS.city);
+
+    const items = params.getAll(PARAMS.items).filter(Boolean);
+    if (items.length) config.selectedItems = items.slice(0, MAX_SELECTED_ITEMS);
+
+    const categories = params.getAll(PARAMS.categories).filter(Boolean);
+    if (categories.length) config.selectedCategories = categories;
+
+    const years = (params.get(PARAMS.years) || '')
+        .split(',')
+        .map(Number)
+        .filter(year => Number.isInteger(year) && year > 1900);
+    if (years.length) config.selectedYears = [...new Set(years)].sort();
+
+    const mappingProvider = pickAllowed(params.get(PARAMS.mappingLLMProvider), LLM_PROVIDERS);
+    if (mappingProvider) config.mappingLLMProvider = mappingProvider;
+    const responseProvider = pickAllowed(params.get(PARAMS.responseLLMProvider), LLM_PROVIDERS);
+    if (responseProvider) config.responseLLMProvider = responseProvider;
+
+    return { config, query: params.get(PARAMS.query) || '' };
+};
+
+// Drop the share parameters once applied, so a refresh restores the session instead
+export const clearShareParams = () => {
+    window.history.replaceState(window.history.state, '', window.location.pathname + window.location.hash);
+};
@@ -0,0 +1,39 @@
+/**
+ * Table Export
+ * CSV and .xlsx conversion for tables parsed out of assistant responses
+ */
+
+// "1,23,450" or "-12.5" -> number; anything else stays a string
+export const parseNumericCell = (cell) => {
+    const trimmed = (cell ?? '').trim();
+    if (!/^-?[\d,]*\.?\d+$/.test(trimmed)) return trimmed;
+    const value = Number(trimmed.replace(/,/g, ''));
+    return Number.isFinite(value) ? value : trimmed;
+};
+
+const toRows = ({ headers, data }) => [headers, ...data.map(row => row.map(parseNumericCell))];
+
+const escapeCsvValue = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const tableToCSV = (table) =>
+    toRows(table).map(row => row.map(escapeCsvValue).join(',')).join('\n');
+
+// Excel caps sheet names at 31 characters and forbids a few symbols
+const toSheetName = (title) => (title || 'Table').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+
+/**
+ * Build an .xlsx Blob for one table. The writer is loaded on demand so it stays
+ * out of the main bundle.
+ */
+export const tableToXlsxBlob = async (table) => {
+    const { default: writeExcelFile } = await import('write-excel-file/browser');
+    const [headerRow, ...dataRows] = toRows(table);
+    const sheetData = [
+        headerRow.map(value => ({ value, fontWeight: 'bold' })),
+        ...dataRows,
+    ];
+    return writeExcelFile(sheetData, { sheet: toSheetName(table.title) }).toBlob();
+};
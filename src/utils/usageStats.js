@@ -0,0 +1,146 @@
+/**
+ * Usage Stats
+ * Token totals and estimated cost from the metadata saved with each answer,
+ * grouped per session, provider or day. Prices are editable and kept in localStorage.
+ */
+
+import { LLM_PROVIDERS } from './providers';
+import { tableToCSV } from './tableExport';
+import { allMessageVersions } from './branches';
+
+const PRICE_TABLE_KEY = 'propgpt.priceTable';
+
+// USD per 1M tokens - rough list prices, meant to be edited to match the account's models
+export const DEFAULT_PRICES = {
+    OpenAI: { input: 2.5, output: 10 },
+    'Google Gemini': { input: 1.25, output: 5 },
+};
+
+export const loadPriceTable = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRICE_TABLE_KEY)) || {};
+        return { ...DEFAULT_PRICES, ...saved };
+    } catch (error) {
+        console.error('Failed to load price table:', error);
+        return { ...DEFAULT_PRICES };
+    }
+};
+
+export const savePriceTable = (prices) => {
+    try {
+        localStorage.setItem(PRICE_TABLE_KEY, JSON.stringify(prices));
+    } catch (error) {
+        console.error('Failed to save price table:', error);
+    }
+};
+
+// Local calendar day, so "today" matches the user's clock
+const toDay = (timestamp) => {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return 'Unknown';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const toRecord = (session, message, provider, metadata) => ({
+    sessionId: session.id,
+    sessionTitle: session.title,
+    provider: provider || 'Unknown',
+    day: toDay(message.timestamp),
+    inputTokens: Number(metadata.inputTokens) || 0,
+    outputTokens: Number(metadata.outputTokens) || 0,
+    cached: !!metadata.cached,
+});
+
+/**
+ * One record per answered run across all sessions, including answers in branches that
+ * were edited or regenerated away. Answers saved before the provider was recorded on
+ * the message fall back to the session's response provider.
+ */
+export const collectUsageRecords = (sessions) => sessions.flatMap(session => allMessageVersions(session.messages).flatMap(message => {
+    const metadata = message.metadata || {};
+    if (message.role === 'assistant' && !metadata.cancelled && !metadata.streaming) {
+        const provider = metadata.responseProvider || session.config?.responseLLMProvider;
+        return [toRecord(session, message, provider, metadata)];
+    }
+    if (message.role === 'comparison') {
+        return metadata.results
+            .filter(result => !result.error)
+            .map(result => toRecord(session, message, result.provider, result.metadata));
+    }
+    return [];
+}));
+
+// Cached answers cost nothing - the backend served them without calling the LLM
+export const estimateCost = (record, prices) => {
+    if (record.cached) return 0;
+    const price = prices[record.provider];
+    if (!price) return 0;
+    return (record.inputTokens * price.input + record.outputTokens * price.output) / 1000000;
+};
+
+export const GROUPINGS = {
+    session: { label: 'Session', key: record => record.sessionId, name: record => record.sessionTitle },
+    provider: { label: 'Provider', key: record => record.provider, name: record => record.provider },
+    day: { label: 'Day', key: record => record.day, name: record => record.day },
+};
+
+const emptyTotals = () => ({ runs: 0, cachedRuns: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, cost: 0 });
+
+// Uncached tokens and cached tokens are totalled separately
+const addRecord = (totals, record, prices) => {
+    totals.runs += 1;
+    if (record.cached) {
+        totals.cachedRuns += 1;
+        totals.cachedTokens += record.inputTokens + record.outputTokens;
+    } else {
+        totals.inputTokens += record.inputTokens;
+        totals.outputTokens += record.outputTokens;
+    }
+    totals.cost += estimateCost(record, prices);
+    return totals;
+};
+
+export const summarizeUsage = (records, prices) => records.reduce((totals, record) => addRecord(totals, record, prices), emptyTotals());
+
+/**
+ * Totals per group, in first-seen order for sessions (most recent first) and
+ * descending order for days and providers
+ */
+export const groupUsage = (records, prices, grouping) => {
+    const { key, name } = GROUPINGS[grouping];
+    const groups = new Map();
+    records.forEach(record => {
+        const id = key(record);
+        if (!groups.has(id)) groups.set(id, { id, name: name(record), ...emptyTotals() });
+        addRecord(groups.get(id), record, prices);
+    });
+    const rows = [...groups.values()];
+    if (grouping === 'day') rows.sort((a, b) => b.id.localeCompare(a.id));
+    if (grouping === 'provider') rows.sort((a, b) => b.cost - a.cost);
+    return rows;
+};
+
+export const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+// Every grouping in one sheet, with the grouping in the first column
+export const usageToCSV = (records, prices) => {
+    const data = Object.keys(GROUPINGS).flatMap(grouping => groupUsage(records, prices, grouping).map(row => [
+        GROUPINGS[grouping].label,
+        row.name,
+        row.runs,
+        row.cachedRuns,
+        row.inputTokens,
+        row.outputTokens,
+        row.cachedTokens,
+        row.cost.toFixed(4),
+    ].map(String)));
+    return tableToCSV({
+        headers: ['Group', 'Name', 'Runs', 'Cached Runs', 'Input Tokens', 'Output Tokens', 'Cached Tokens', 'Estimated Cost (USD)'],
+        data,
+    });
+};
+
+// Providers that appear in the usage or the configuration, for the price table editor
+export const pricedProviders = (records) => [...new Set([...LLM_PROVIDERS, ...records.map(record => record.provider)])]
+    .filter(provider => provider !== 'Unknown');